@@ -1,5 +1,8 @@
 import sequelize from "./models/index.js";
 import { Recipe, User } from "./models/index.js";
+import { toStructuredIngredients } from "./utils/ingredients.js";
+import { resolveContains } from "./utils/allergens.js";
+import { ensureDefaultCategories, loadCategories, findCategory } from "./utils/categories.js";
 
 console.log("🌱 Starting auto-seed...");
 
@@ -7,10 +10,9 @@ console.log("🌱 Starting auto-seed...");
 const recipes = [
   {
     name: "Amala & Gbegiri",
-    category: "Nigerian",
+    category: "Yoruba",
     cookingTime: 60,
     prepTime: 20,
-    rating: 5,
     description: "A Yoruba delicacy served with Gbegiri soup and Ewedu.",
     ingredients: ["Amala", "Gbegiri", "Ewedu", "Seasoning"],
     instructions: ["Prepare gbegiri", "Whisk amala", "Serve hot"],
@@ -21,7 +23,6 @@ const recipes = [
     category: "Nigerian",
     cookingTime: 20,
     prepTime: 15,
-    rating: 4.6,
     description: "Deep fried bean cakes enjoyed for breakfast.",
     ingredients: ["Beans", "Pepper", "Onion", "Salt"],
     instructions: ["Blend beans", "Mix ingredients", "Fry"],
@@ -29,10 +30,9 @@ const recipes = [
   },
   {
     name: "Afang Soup",
-    category: "Nigerian",
+    category: "Efik",
     cookingTime: 45,
     prepTime: 20,
-    rating: 4.8,
     description: "Calabar vegetable soup rich in flavor and nutrients.",
     ingredients: ["Afang leaves", "Waterleaf", "Meat", "Fish"],
     instructions: ["Chop leaves", "Cook meat", "Combine all ingredients"],
@@ -40,10 +40,9 @@ const recipes = [
   },
   {
     name: "White Soup (Ofe Nsala)",
-    category: "Nigerian",
+    category: "Igbo",
     cookingTime: 40,
     prepTime: 15,
-    rating: 4.7,
     description: "Light Igbo soup made with catfish and local spices.",
     ingredients: ["Catfish", "Utazi", "Yam", "Spices"],
     instructions: ["Boil yam", "Blend spices", "Cook fish"],
@@ -51,10 +50,9 @@ const recipes = [
   },
   {
     name: "Tuwo Shinkafa",
-    category: "Nigerian",
+    category: "Hausa",
     cookingTime: 35,
     prepTime: 10,
-    rating: 4.5,
     description: "Northern Nigerian swallow made from soft rice.",
     ingredients: ["Rice", "Water"],
     instructions: ["Boil rice", "Mash gently"],
@@ -62,10 +60,9 @@ const recipes = [
   },
   {
     name: "Suya Skewers",
-    category: "Nigerian",
+    category: "Hausa",
     cookingTime: 20,
     prepTime: 10,
-    rating: 5,
     description: "Spicy grilled skewered meat.",
     ingredients: ["Beef", "Yaji spice"],
     instructions: ["Season beef", "Grill"],
@@ -73,10 +70,9 @@ const recipes = [
   },
   {
     name: "Pounded Yam & Efo Riro",
-    category: "Nigerian",
+    category: "Yoruba",
     cookingTime: 50,
     prepTime: 20,
-    rating: 5,
     description: "Rich Yoruba stew served with smooth pounded yam.",
     ingredients: ["Yam", "Spinach", "Pepper mix"],
     instructions: ["Boil yam", "Pound", "Cook stew"],
@@ -84,10 +80,9 @@ const recipes = [
   },
   {
     name: "Beans & Plantain (Ewa Agoyin)",
-    category: "Nigerian",
+    category: "Yoruba",
     cookingTime: 60,
     prepTime: 20,
-    rating: 4.9,
     description: "Mashed beans with pepper sauce and fried plantain.",
     ingredients: ["Beans", "Palm oil", "Pepper"],
     instructions: ["Cook beans", "Prepare sauce", "Serve"],
@@ -98,7 +93,6 @@ const recipes = [
     category: "Nigerian",
     cookingTime: 30,
     prepTime: 10,
-    rating: 5,
     description: "Spicy broth made with assorted meats and spices.",
     ingredients: ["Goat meat", "Spices"],
     instructions: ["Season meat", "Boil", "Add spices"],
@@ -109,7 +103,6 @@ const recipes = [
     category: "Nigerian",
     cookingTime: 25,
     prepTime: 10,
-    rating: 4.8,
     description: "Slimy delicious okra soup rich in vegetables and protein.",
     ingredients: ["Okra", "Fish", "Palm oil"],
     instructions: ["Slice okra", "Cook ingredients"],
@@ -117,10 +110,9 @@ const recipes = [
   },
   {
     name: "Ogbono Soup",
-    category: "Nigerian",
+    category: "Igbo",
     cookingTime: 30,
     prepTime: 10,
-    rating: 4.7,
     description: "Thick soup made from ground ogbono seeds.",
     ingredients: ["Ogbono", "Palm oil", "Meat"],
     instructions: ["Dissolve ogbono", "Cook ingredients"],
@@ -128,10 +120,9 @@ const recipes = [
   },
   {
     name: "Suya Deluxe",
-    category: "Nigerian",
+    category: "Hausa",
     cookingTime: 20,
     prepTime: 10,
-    rating: 5,
     description: "Extra spicy and juicy suya served with onions.",
     ingredients: ["Beef", "Yaji", "Onions"],
     instructions: ["Marinate", "Grill"],
@@ -139,10 +130,9 @@ const recipes = [
   },
   {
     name: "Nkwobi",
-    category: "Nigerian",
+    category: "Igbo",
     cookingTime: 45,
     prepTime: 15,
-    rating: 4.8,
     description: "Spicy cow foot delicacy native to the Igbos.",
     ingredients: ["Cow foot", "Palm oil", "Spices"],
     instructions: ["Cook meat", "Mix palm oil paste"],
@@ -150,10 +140,9 @@ const recipes = [
   },
   {
     name: "Moi Moi",
-    category: "Nigerian",
+    category: "Yoruba",
     cookingTime: 60,
     prepTime: 25,
-    rating: 4.9,
     description: "Steamed bean pudding with pepper and spices.",
     ingredients: ["Beans", "Pepper", "Palm oil"],
     instructions: ["Blend", "Mix", "Steam"],
@@ -164,7 +153,6 @@ const recipes = [
     category: "Nigerian",
     cookingTime: 35,
     prepTime: 15,
-    rating: 4.7,
     description: "Spaghetti cooked in rich Nigerian jollof sauce.",
     ingredients: ["Spaghetti", "Tomato mix"],
     instructions: ["Boil spaghetti", "Cook sauce", "Mix"],
@@ -175,7 +163,6 @@ const recipes = [
     category: "Nigerian",
     cookingTime: 30,
     prepTime: 10,
-    rating: 4.9,
     description: "Nigerian fried rice cooked with veggies and liver.",
     ingredients: ["Rice", "Carrots", "Peas", "Liver"],
     instructions: ["Parboil rice", "Stir fry"],
@@ -186,7 +173,6 @@ const recipes = [
     category: "Nigerian",
     cookingTime: 40,
     prepTime: 20,
-    rating: 5,
     description: "Rich, thick melon seed soup enjoyed with swallow.",
     ingredients: ["Egusi", "Palm oil", "Vegetables"],
     instructions: ["Blend egusi", "Cook soup"],
@@ -194,10 +180,9 @@ const recipes = [
   },
   {
     name: "Banga Soup",
-    category: "Nigerian",
+    category: "Urhobo",
     cookingTime: 60,
     prepTime: 30,
-    rating: 4.7,
     description: "Warri-style palm fruit soup served with starch.",
     ingredients: ["Palm fruit", "Spices"],
     instructions: ["Extract juice", "Cook"],
@@ -208,7 +193,6 @@ const recipes = [
     category: "Nigerian",
     cookingTime: 20,
     prepTime: 5,
-    rating: 4.8,
     description: "Roasted ripe plantain enjoyed with groundnut.",
     ingredients: ["Plantain"],
     instructions: ["Roast"],
@@ -218,10 +202,9 @@ const recipes = [
   // ✅ INTERNATIONAL (5)
   {
     name: "Sushi Platter",
-    category: "International",
+    category: "Japanese",
     cookingTime: 45,
     prepTime: 30,
-    rating: 4.9,
     description: "Japanese assorted sushi platter.",
     ingredients: ["Rice", "Fish", "Seaweed"],
     instructions: ["Prepare rice", "Roll sushi"],
@@ -229,10 +212,9 @@ const recipes = [
   },
   {
     name: "Tacos",
-    category: "International",
+    category: "Mexican",
     cookingTime: 25,
     prepTime: 15,
-    rating: 4.8,
     description: "Mexican tacos stuffed with meat and veggies.",
     ingredients: ["Tortilla", "Meat", "Cheese"],
     instructions: ["Cook meat", "Assemble tacos"],
@@ -240,10 +222,9 @@ const recipes = [
   },
   {
     name: "Spaghetti Bolognese",
-    category: "International",
+    category: "Italian",
     cookingTime: 40,
     prepTime: 15,
-    rating: 4.7,
     description: "Classic Italian pasta with meat sauce.",
     ingredients: ["Spaghetti", "Tomato", "Beef"],
     instructions: ["Cook pasta", "Prepare sauce"],
@@ -251,10 +232,9 @@ const recipes = [
   },
   {
     name: "Shakshuka",
-    category: "International",
+    category: "Middle Eastern",
     cookingTime: 30,
     prepTime: 10,
-    rating: 4.8,
     description: "Eggs poached in spiced tomato sauce.",
     ingredients: ["Eggs", "Tomato", "Pepper"],
     instructions: ["Cook sauce", "Add eggs"],
@@ -262,10 +242,9 @@ const recipes = [
   },
   {
     name: "Beef Bourguignon",
-    category: "International",
+    category: "French",
     cookingTime: 120,
     prepTime: 20,
-    rating: 5,
     description: "French beef stew slow-cooked in wine.",
     ingredients: ["Beef", "Red wine", "Carrots"],
     instructions: ["Sear beef", "Slow cook"],
@@ -281,8 +260,15 @@ const seed = async () => {
     const user = await User.findOne();
     if (!user) throw new Error("Create at least one user first!");
 
-    // ✅ Attach userId to every recipe
-    recipes.forEach((r) => (r.userId = user.id));
+    await ensureDefaultCategories();
+    const categories = await loadCategories();
+
+    // ✅ Attach userId, category and detected allergens to every recipe
+    recipes.forEach((r) => {
+      r.userId = user.id;
+      r.categoryId = findCategory(categories, r.category)?.id ?? null;
+      r.contains = resolveContains(toStructuredIngredients(r.ingredients));
+    });
 
     // ✅ Clear existing recipes
     await Recipe.destroy({ where: {} });
@@ -0,0 +1,189 @@
+// config/allergens.js - Ingredient → allergen / dietary flag mapping
+/**
+ * Recipes get their flags from their ingredient names (utils/allergens.js).
+ * Keywords are matched as whole words, plurals included ("prawn" → "king prawns").
+ * When several keywords match, the longest one wins, so a keyword can map to
+ * [] to cancel a shorter one: "coconut milk" is not dairy, "peanut butter"
+ * is peanuts only.
+ *
+ * After changing this file run `npm run allergens:refresh` so existing
+ * recipes pick up the new mapping.
+ */
+
+// Allergens users can filter out (?excludeAllergens=peanuts,shellfish)
+export const ALLERGENS = {
+  peanuts: 'Peanuts (groundnuts)',
+  tree_nuts: 'Tree nuts',
+  gluten: 'Gluten (wheat, barley, rye)',
+  dairy: 'Milk and dairy',
+  eggs: 'Eggs',
+  soy: 'Soy',
+  sesame: 'Sesame (beniseed)',
+  fish: 'Fish',
+  shellfish: 'Shellfish and molluscs (crayfish, prawns, periwinkles, snails)'
+};
+
+// Other flags diets are built from
+export const DIETARY_MARKERS = {
+  meat: 'Red meat and offal',
+  poultry: 'Poultry',
+  pork: 'Pork',
+  alcohol: 'Alcohol',
+  honey: 'Honey'
+};
+
+// Diet → flags a recipe must not have.
+// halal only rules out pork and alcohol: how meat was slaughtered is not known.
+export const DIETS = {
+  vegetarian: ['meat', 'poultry', 'pork', 'fish', 'shellfish'],
+  vegan: ['meat', 'poultry', 'pork', 'fish', 'shellfish', 'dairy', 'eggs', 'honey'],
+  pescatarian: ['meat', 'poultry', 'pork'],
+  halal: ['pork', 'alcohol']
+};
+
+export const INGREDIENT_FLAGS = {
+  // Peanuts
+  groundnut: ['peanuts'],
+  peanut: ['peanuts'],
+  'peanut butter': ['peanuts'],
+  'groundnut paste': ['peanuts'],
+  'kuli kuli': ['peanuts'],
+
+  // Tree nuts
+  almond: ['tree_nuts'],
+  cashew: ['tree_nuts'],
+  walnut: ['tree_nuts'],
+  hazelnut: ['tree_nuts'],
+  pistachio: ['tree_nuts'],
+  pecan: ['tree_nuts'],
+  'brazil nut': ['tree_nuts'],
+  macadamia: ['tree_nuts'],
+
+  // Gluten
+  flour: ['gluten'],
+  wheat: ['gluten'],
+  semolina: ['gluten'],
+  semovita: ['gluten'],
+  bread: ['gluten'],
+  breadcrumb: ['gluten'],
+  spaghetti: ['gluten'],
+  pasta: ['gluten'],
+  macaroni: ['gluten'],
+  noodle: ['gluten'],
+  couscous: ['gluten'],
+  barley: ['gluten'],
+  rye: ['gluten'],
+  'soy sauce': ['soy', 'gluten'],
+  'rice flour': [],
+  'cassava flour': [],
+  'plantain flour': [],
+  'yam flour': [],
+  'corn flour': [],
+  cornflour: [],
+  'rice noodle': [],
+
+  // Dairy
+  milk: ['dairy'],
+  butter: ['dairy'],
+  cheese: ['dairy'],
+  cream: ['dairy'],
+  yogurt: ['dairy'],
+  yoghurt: ['dairy'],
+  wara: ['dairy'],
+  ghee: ['dairy'],
+  'coconut milk': [],
+  'coconut cream': [],
+  'soy milk': ['soy'],
+  'almond milk': ['tree_nuts'],
+  'shea butter': [],
+
+  // Eggs
+  egg: ['eggs'],
+  mayonnaise: ['eggs'],
+
+  // Soy
+  soy: ['soy'],
+  soya: ['soy'],
+  tofu: ['soy'],
+
+  // Sesame
+  sesame: ['sesame'],
+  beniseed: ['sesame'],
+  tahini: ['sesame'],
+
+  // Fish
+  fish: ['fish'],
+  stockfish: ['fish'],
+  'dry fish': ['fish'],
+  'smoked fish': ['fish'],
+  mackerel: ['fish'],
+  titus: ['fish'],
+  panla: ['fish'],
+  tilapia: ['fish'],
+  catfish: ['fish'],
+  sardine: ['fish'],
+  tuna: ['fish'],
+  salmon: ['fish'],
+  'fish sauce': ['fish'],
+  'fish seasoning': [],
+
+  // Shellfish and molluscs
+  crayfish: ['shellfish'],
+  shrimp: ['shellfish'],
+  prawn: ['shellfish'],
+  crab: ['shellfish'],
+  lobster: ['shellfish'],
+  periwinkle: ['shellfish'],
+  snail: ['shellfish'],
+  oyster: ['shellfish'],
+  mussel: ['shellfish'],
+  clam: ['shellfish'],
+  squid: ['shellfish'],
+  'oyster sauce': ['shellfish'],
+
+  // Meat
+  meat: ['meat'],
+  beef: ['meat'],
+  goat: ['meat'],
+  ram: ['meat'],
+  lamb: ['meat'],
+  mutton: ['meat'],
+  veal: ['meat'],
+  ponmo: ['meat'],
+  kpomo: ['meat'],
+  shaki: ['meat'],
+  tripe: ['meat'],
+  liver: ['meat'],
+  kidney: ['meat'],
+  oxtail: ['meat'],
+  'cow foot': ['meat'],
+  'cow leg': ['meat'],
+  suya: ['meat'],
+  sausage: ['meat'],
+  'kidney bean': [],
+
+  // Poultry
+  chicken: ['poultry'],
+  turkey: ['poultry'],
+  'guinea fowl': ['poultry'],
+  duck: ['poultry'],
+  gizzard: ['poultry'],
+
+  // Pork
+  pork: ['pork'],
+  bacon: ['pork'],
+  ham: ['pork'],
+  lard: ['pork'],
+
+  // Alcohol
+  wine: ['alcohol'],
+  'palm wine': ['alcohol'],
+  beer: ['alcohol'],
+  stout: ['alcohol'],
+  rum: ['alcohol'],
+  brandy: ['alcohol'],
+  'wine vinegar': [],
+
+  // Honey
+  honey: ['honey']
+};
@@ -0,0 +1,51 @@
+// config/categories.js - Default cuisine → region hierarchy
+/**
+ * Created on first start when the Categories table is empty, and used by
+ * `npm run categories:migrate` to map old free-text categories.
+ * aliases: other spellings found in free-text categories ("Naija", "Calabar").
+ * After the first start admins manage the tree through /api/admin/categories;
+ * changing this file does not touch existing categories.
+ */
+export const DEFAULT_CATEGORIES = [
+  {
+    name: 'Nigerian',
+    aliases: ['naija', 'nigeria'],
+    children: [
+      { name: 'Yoruba', aliases: ['south west', 'southwest'] },
+      { name: 'Igbo', aliases: ['ibo', 'south east', 'southeast'] },
+      { name: 'Hausa', aliases: ['hausa fulani', 'northern', 'arewa'] },
+      { name: 'Efik', aliases: ['efik ibibio', 'ibibio', 'calabar', 'akwa ibom'] },
+      { name: 'Edo', aliases: ['benin', 'bini'] },
+      { name: 'Urhobo', aliases: ['delta'] },
+      { name: 'Ijaw', aliases: ['izon'] },
+      { name: 'Tiv' }
+    ]
+  },
+  {
+    name: 'West African',
+    aliases: ['west africa'],
+    children: [
+      { name: 'Ghanaian', aliases: ['ghana'] },
+      { name: 'Senegalese', aliases: ['senegal'] },
+      { name: 'Cameroonian', aliases: ['cameroon'] }
+    ]
+  },
+  {
+    name: 'International',
+    aliases: ['global', 'continental', 'foreign'],
+    children: [
+      { name: 'Italian', aliases: ['italy'] },
+      { name: 'French', aliases: ['france'] },
+      { name: 'Mexican', aliases: ['mexico'] },
+      { name: 'Japanese', aliases: ['japan'] },
+      { name: 'Chinese', aliases: ['china'] },
+      { name: 'Indian', aliases: ['india'] },
+      { name: 'Middle Eastern', aliases: ['north african', 'lebanese'] },
+      { name: 'American', aliases: ['usa'] },
+      { name: 'British', aliases: ['english', 'uk'] }
+    ]
+  }
+];
+
+// Used when a recipe is created without a category
+export const DEFAULT_CATEGORY_SLUG = 'nigerian';
@@ -63,4 +63,34 @@ export const uploadToCloudinary = (buffer, folder = 'dishcovery') => {
   });
 };
 
+/**
+ * Public id of an image uploaded to this Cloudinary account
+ * ("https://res.cloudinary.com/<cloud>/image/upload/v123/recipe-images/abc.jpg" → "recipe-images/abc")
+ * @param {string} url - Secure URL returned by uploadToCloudinary()
+ * @returns {string|null} - null for images hosted elsewhere
+ */
+export const publicIdFromUrl = (url) => {
+  const prefix = `https://res.cloudinary.com/${process.env.CLOUDINARY_CLOUD_NAME}/image/upload/`;
+  if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+
+  // Skip transformations and the version segment, drop the file extension
+  const path = url.slice(prefix.length).split('/');
+  const versionIndex = path.findIndex(segment => /^v\d+$/.test(segment));
+  const publicPath = versionIndex === -1 ? path : path.slice(versionIndex + 1);
+  return publicPath.join('/').replace(/\.[a-z0-9]+$/i, '') || null;
+};
+
+/**
+ * Delete an uploaded image
+ * @param {string} url - Secure URL returned by uploadToCloudinary()
+ * @returns {Promise<boolean>} - Whether Cloudinary deleted it
+ */
+export const deleteFromCloudinary = async (url) => {
+  const publicId = publicIdFromUrl(url);
+  if (!publicId) return false;
+
+  const result = await cloudinary.uploader.destroy(publicId);
+  return result.result === 'ok';
+};
+
 export default cloudinary;
\ No newline at end of file
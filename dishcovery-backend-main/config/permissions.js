@@ -0,0 +1,68 @@
+// config/permissions.js - Roles and what they are allowed to do
+/**
+ * Permission names are "<resource>.<action>" with an optional ".own"/".any"
+ * suffix for actions that depend on ownership. requirePermission('recipe.edit')
+ * passes with 'recipe.edit.any', or with 'recipe.edit.own' on your own recipe.
+ */
+const USER_PERMISSIONS = [
+  'recipe.create',
+  'recipe.edit.own',
+  'recipe.delete.own',
+  'review.create',
+  'review.edit.own',
+  'review.delete.own'
+];
+
+const EDITOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'recipe.edit.any',
+  'recipe.publish'
+];
+
+const MODERATOR_PERMISSIONS = [
+  ...EDITOR_PERMISSIONS,
+  'recipe.delete.any',
+  'recipe.moderate',
+  'review.delete.any',
+  'user.ban'
+];
+
+/**
+ * Admin area, only admins have these (through '*'). Add one to a role above
+ * to open that part of /api/admin to it.
+ *   admin.access    - staff-level checks (e.g. suspending other staff)
+ *   user.list       - list users, including deleted accounts
+ *   user.role       - change roles
+ *   user.delete     - delete and restore accounts
+ *   tag.manage      - rename and merge tags
+ *   category.manage - create, edit and delete categories
+ *   stats.view      - dashboard stats
+ *   settings.manage - 2FA, moderation and trash settings
+ *   audit.view      - audit log and CSV export
+ */
+export const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  editor: EDITOR_PERMISSIONS,
+  moderator: MODERATOR_PERMISSIONS,
+  admin: ['*']
+};
+
+export const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Whether a role has a permission
+ * @param {string} role
+ * @param {string} permission - Exact permission name (e.g. 'recipe.edit.any')
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Permissions of a role (for clients that adapt their UI)
+ * @param {string} role
+ * @returns {string[]}
+ */
+export const permissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
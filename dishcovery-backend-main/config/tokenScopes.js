@@ -0,0 +1,15 @@
+// config/tokenScopes.js - Scopes that can be granted to personal access tokens
+/**
+ * Routes opt in to personal access tokens with authWithScope(scope).
+ * Everything else (account, security and admin routes) only accepts
+ * login sessions.
+ */
+export const TOKEN_SCOPES = {
+  'recipes:write': 'Create, update and delete your recipes',
+  'favorites:read': 'List your favorite recipes',
+  'favorites:write': 'Add and remove favorites',
+  'reviews:write': 'Write, edit and delete your reviews',
+  'profile:read': 'Read your profile (GET /api/users/me)'
+};
+
+export const isValidScope = (scope) => Object.prototype.hasOwnProperty.call(TOKEN_SCOPES, scope);
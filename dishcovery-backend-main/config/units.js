@@ -0,0 +1,70 @@
+// config/units.js - Measuring units recognised in ingredients
+/**
+ * Canonical unit name → display plural and other spellings accepted when
+ * parsing ingredient lines like "2 cups rice" or "1 tbsp. palm oil".
+ * Units that are not listed here are still accepted, just kept as typed.
+ *
+ * rounding is used when a recipe is scaled to more or fewer servings:
+ * - metric: 0.5 below 10, whole numbers below 100, then steps of 5 (g, ml)
+ * - decimal: steps of 0.05 (kg, l)
+ * - fraction: nearest kitchen fraction, 1/8 at least (cups, spoons)
+ * - whole: whole numbers, 1 at least (cloves, pieces)
+ *
+ * Conversion (utils/unitConversion.js):
+ * - kind: mass or volume (units without a kind are never converted)
+ * - factor: grams (mass) or millilitres (volume) in one unit
+ * - system: metric, imperial, local (market measures) or any (spoons are
+ *   used everywhere and are left alone)
+ */
+export const UNITS = {
+  g: { plural: 'g', aliases: ['gram', 'grams', 'gr'], rounding: 'metric', kind: 'mass', factor: 1, system: 'metric' },
+  kg: { plural: 'kg', aliases: ['kilo', 'kilos', 'kilogram', 'kilograms'], rounding: 'decimal', kind: 'mass', factor: 1000, system: 'metric' },
+  ml: { plural: 'ml', aliases: ['millilitre', 'millilitres', 'milliliter', 'milliliters'], rounding: 'metric', kind: 'volume', factor: 1, system: 'metric' },
+  l: { plural: 'l', aliases: ['litre', 'litres', 'liter', 'liters'], rounding: 'decimal', kind: 'volume', factor: 1000, system: 'metric' },
+  tsp: { plural: 'tsp', aliases: ['teaspoon', 'teaspoons', 'tsps'], rounding: 'fraction', kind: 'volume', factor: 4.93, system: 'any' },
+  tbsp: { plural: 'tbsp', aliases: ['tablespoon', 'tablespoons', 'tbs', 'tbsps'], rounding: 'fraction', kind: 'volume', factor: 14.79, system: 'any' },
+  cup: { plural: 'cups', aliases: ['cups'], rounding: 'fraction', kind: 'volume', factor: 240, system: 'imperial' },
+  oz: { plural: 'oz', aliases: ['ounce', 'ounces'], rounding: 'fraction', kind: 'mass', factor: 28.35, system: 'imperial' },
+  lb: { plural: 'lb', aliases: ['lbs', 'pound', 'pounds'], rounding: 'fraction', kind: 'mass', factor: 453.59, system: 'imperial' },
+  pinch: { plural: 'pinches', aliases: ['pinches'], rounding: 'whole' },
+  clove: { plural: 'cloves', aliases: ['cloves'], rounding: 'whole' },
+  piece: { plural: 'pieces', aliases: ['pieces', 'pc', 'pcs'], rounding: 'whole' },
+  slice: { plural: 'slices', aliases: ['slices'], rounding: 'whole' },
+  cube: { plural: 'cubes', aliases: ['cubes'], rounding: 'whole' },
+  can: { plural: 'cans', aliases: ['cans', 'tin', 'tins'], rounding: 'whole' },
+  bunch: { plural: 'bunches', aliases: ['bunches'], rounding: 'whole' },
+  handful: { plural: 'handfuls', aliases: ['handfuls'], rounding: 'fraction' },
+  // Nigerian market measures (approximate: a derica is the small tomato-paste
+  // tin used to sell grains, a paint is a 4 litre paint bucket)
+  derica: { plural: 'derica', aliases: ['dericas'], rounding: 'fraction', kind: 'volume', factor: 480, system: 'local' },
+  paint: { plural: 'paint', aliases: ['paints', 'paint bucket'], rounding: 'fraction', kind: 'volume', factor: 4000, system: 'local' }
+};
+
+export const UNIT_SYSTEMS = ['original', 'metric', 'imperial'];
+
+/**
+ * Grams per millilitre, matched against the ingredient name ("long grain rice"
+ * uses "rice"). Needed to turn cups of rice into grams and back.
+ * liquid: kept as a volume in metric (ml of oil rather than grams).
+ */
+export const DENSITIES = {
+  water: { gPerMl: 1, liquid: true },
+  stock: { gPerMl: 1, liquid: true },
+  milk: { gPerMl: 1.03, liquid: true },
+  'palm oil': { gPerMl: 0.89, liquid: true },
+  oil: { gPerMl: 0.92, liquid: true },
+  honey: { gPerMl: 1.42, liquid: true },
+  rice: { gPerMl: 0.85 },
+  beans: { gPerMl: 0.8 },
+  garri: { gPerMl: 0.6 },
+  egusi: { gPerMl: 0.5 },
+  ogbono: { gPerMl: 0.5 },
+  crayfish: { gPerMl: 0.35 },
+  flour: { gPerMl: 0.53 },
+  semolina: { gPerMl: 0.7 },
+  sugar: { gPerMl: 0.85 },
+  salt: { gPerMl: 1.2 },
+  butter: { gPerMl: 0.96 },
+  'tomato paste': { gPerMl: 1.1 },
+  oats: { gPerMl: 0.4 }
+};
@@ -0,0 +1,817 @@
+// controllers/adminController.js
+// ✅ Admin-only platform management
+
+import { Op } from "sequelize";
+import sequelize, { User, Recipe, Favorite, AuditLog } from "../models/index.js";
+import { ROLES, hasPermission } from "../config/permissions.js";
+import { getTwoFactorPolicy, TWO_FACTOR_POLICY_KEY } from "../utils/twoFactor.js";
+import { setSetting } from "../utils/settings.js";
+import { recordAudit } from "../utils/audit.js";
+import { CLEARED_SUSPENSION } from "../utils/suspensions.js";
+import { getModerationPolicy, MODERATION_POLICY_KEY } from "../utils/moderation.js";
+import {
+  getTrashPolicy,
+  purgeDate,
+  trashUserAccount,
+  restoreUserAccount,
+  TRASH_POLICY_KEY,
+  MAX_RETENTION_DAYS
+} from "../utils/trash.js";
+
+// Upper bound for a single CSV export
+const AUDIT_EXPORT_LIMIT = 10000;
+
+// Fields of a user that are safe to show in the admin panel
+const USER_ADMIN_ATTRIBUTES = [
+  'id', 'firstName', 'lastName', 'email', 'role',
+  'emailVerified', 'twoFactorEnabled', 'status', 'suspensionReason',
+  'suspendedAt', 'suspendedUntil', 'suspendedById', 'createdAt', 'updatedAt'
+];
+
+const SUSPENSION_STATUSES = ['suspended', 'banned'];
+
+// ============================================
+// GET /api/admin/users - List users (paginated, searchable)
+// ============================================
+export const listUsers = async (req, res) => {
+  try {
+    const { 
+      q,          // Search in name and email
+      role,       // Filter by role
+      status,     // Filter by status (active, suspended, banned)
+      deleted,    // "true": accounts in the trash instead
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const where = {};
+    const inTrash = deleted === 'true';
+
+    if (inTrash) {
+      where.deletedAt = { [Op.ne]: null };
+    }
+
+    if (role) {
+      where.role = role;
+    }
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (q) {
+      // ?q can arrive as an array; % and _ are searched for literally
+      const search = String(q).trim().replace(/[\\%_]/g, '\\$&');
+      const pattern = `%${search}%`;
+      where[Op.or] = [
+        { firstName: { [Op.iLike]: pattern } },
+        { lastName: { [Op.iLike]: pattern } },
+        { email: { [Op.iLike]: pattern } }
+      ];
+    }
+
+    const { count, rows } = await User.findAndCountAll({
+      where,
+      paranoid: !inTrash,
+      attributes: [
+        ...USER_ADMIN_ATTRIBUTES,
+        ...(inTrash ? ['deletedAt'] : []),
+        [
+          sequelize.literal('(SELECT COUNT(*) FROM "Recipes" WHERE "Recipes"."userId" = "User"."id" AND "Recipes"."deletedAt" IS NULL)::int'),
+          'recipesCount'
+        ]
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      users: rows,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(count / pageSize),
+        totalUsers: count,
+        limit: pageSize,
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch users',
+      details: error.message 
+    });
+  }
+};
+
+// Shared by PUT /users/:id/role and PUT /users/:id/make-admin
+const setUserRole = async (req, res, role) => {
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  }
+
+  const user = await User.findByPk(req.params.id, { attributes: USER_ADMIN_ATTRIBUTES });
+
+  if (!user) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  // Keeps at least the acting admin in place
+  if (user.id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot change your own role' });
+  }
+
+  const previousRole = user.role;
+  await user.update({ role });
+
+  await recordAudit(req, {
+    action: 'admin.user.role_change',
+    targetType: 'user',
+    targetId: user.id,
+    before: { role: previousRole },
+    after: { role }
+  });
+
+  console.log(`✅ Admin ${req.user.id} changed role of user ${user.id}: ${previousRole} → ${role}`);
+
+  return res.json({
+    message: 'Role updated successfully',
+    user
+  });
+};
+
+// ============================================
+// PUT /api/admin/users/:id/role - Change a user's role
+// ============================================
+export const updateUserRole = async (req, res) => {
+  try {
+    await setUserRole(req, res, req.body.role);
+
+  } catch (error) {
+    console.error('Admin update role error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update role',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// PUT /api/admin/users/:id/make-admin - Promote to admin
+// ============================================
+export const makeAdmin = async (req, res) => {
+  try {
+    await setUserRole(req, res, 'admin');
+
+  } catch (error) {
+    console.error('Admin make admin error:', error);
+    res.status(500).json({ 
+      error: 'Failed to promote user',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// DELETE /api/admin/users/:id - Move a user and their recipes to the trash
+// ============================================
+export const deleteUser = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ 
+        error: 'You cannot delete your own account here',
+        message: 'Use DELETE /api/users/me instead'
+      });
+    }
+
+    // Favorites of their recipes are hidden until a restore or the purge
+    await trashUserAccount(user, req.user.id);
+
+    await recordAudit(req, {
+      action: 'admin.user.delete',
+      targetType: 'user',
+      targetId: user.id,
+      before: { firstName: user.firstName, lastName: user.lastName, email: user.email, role: user.role }
+    });
+
+    console.log(`✅ Admin ${req.user.id} moved user ${user.id} to trash`);
+
+    const { retentionDays } = await getTrashPolicy();
+
+    res.json({
+      message: 'User deleted successfully',
+      purgeAt: purgeDate(user.deletedAt, retentionDays)
+    });
+
+  } catch (error) {
+    console.error('Admin delete user error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete user',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/admin/users/:id/restore - Bring back a deleted account
+// ============================================
+export const restoreUser = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, { paranoid: false });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (!user.deletedAt) {
+      return res.status(409).json({ error: 'User is not in the trash' });
+    }
+
+    const restored = await restoreUserAccount(user);
+
+    await recordAudit(req, {
+      action: 'admin.user.restore',
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { restoredRecipes: restored.recipes, restoredReviews: restored.reviews }
+    });
+
+    console.log(`✅ Admin ${req.user.id} restored user ${user.id} with ${restored.recipes} recipes and ${restored.reviews} reviews`);
+
+    res.json({
+      message: 'User restored',
+      restoredRecipes: restored.recipes,
+      restoredReviews: restored.reviews,
+      user: {
+        id: user.id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin restore user error:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore user',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// PUT /api/admin/users/:id/suspension - Suspend or ban a user
+// ============================================
+export const suspendUser = async (req, res) => {
+  try {
+    const { status = 'suspended', reason, until } = req.body;
+
+    if (!SUSPENSION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${SUSPENSION_STATUSES.join(', ')}` });
+    }
+
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    // No end date = until a moderator lifts it
+    const suspendedUntil = until ? new Date(until) : null;
+    if (suspendedUntil && (isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date())) {
+      return res.status(400).json({ error: 'until must be a date in the future' });
+    }
+
+    const user = await User.findByPk(req.params.id, { attributes: USER_ADMIN_ATTRIBUTES });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot suspend your own account' });
+    }
+
+    // Moderators cannot lock out other staff
+    if (hasPermission(user.role, 'user.ban') && !hasPermission(req.user.role, 'admin.access')) {
+      return res.status(403).json({ error: 'Only admins can suspend staff accounts' });
+    }
+
+    const before = user.toJSON();
+    await user.update({
+      status,
+      suspensionReason: reason.trim().slice(0, 1000),
+      suspendedAt: new Date(),
+      suspendedUntil,
+      suspendedById: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: status === 'banned' ? 'admin.user.ban' : 'admin.user.suspend',
+      targetType: 'user',
+      targetId: user.id,
+      before,
+      after: user
+    });
+
+    console.log(`✅ User ${req.user.id} set user ${user.id} to ${status}${suspendedUntil ? ` until ${suspendedUntil.toISOString()}` : ''}`);
+
+    res.json({
+      message: status === 'banned' ? 'User banned' : 'User suspended',
+      user
+    });
+
+  } catch (error) {
+    console.error('Suspend user error:', error);
+    res.status(500).json({ 
+      error: 'Failed to suspend user',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// DELETE /api/admin/users/:id/suspension - Lift a suspension or ban
+// ============================================
+export const liftSuspension = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, { attributes: USER_ADMIN_ATTRIBUTES });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.status === 'active') {
+      return res.status(400).json({ error: 'User is not suspended' });
+    }
+
+    const before = user.toJSON();
+    await user.update(CLEARED_SUSPENSION);
+
+    await recordAudit(req, {
+      action: 'admin.user.suspension_lift',
+      targetType: 'user',
+      targetId: user.id,
+      before,
+      after: user
+    });
+
+    console.log(`✅ User ${req.user.id} lifted the suspension of user ${user.id}`);
+
+    res.json({
+      message: 'Suspension lifted',
+      user
+    });
+
+  } catch (error) {
+    console.error('Lift suspension error:', error);
+    res.status(500).json({ 
+      error: 'Failed to lift suspension',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// DELETE /api/admin/recipes/:id - Move any recipe to the trash
+// ============================================
+export const deleteRecipe = async (req, res) => {
+  try {
+    const recipe = await Recipe.findByPk(req.params.id);
+
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    // Only admins and moderators can restore it (POST /api/recipes/:id/restore)
+    recipe.deletedById = req.user.id;
+    await recipe.destroy();
+
+    await recordAudit(req, {
+      action: 'admin.recipe.delete',
+      targetType: 'recipe',
+      targetId: recipe.id,
+      before: recipe,
+      metadata: { ownerId: recipe.userId }
+    });
+
+    console.log(`✅ Admin ${req.user.id} deleted recipe ${recipe.id}`);
+
+    res.json({ message: 'Recipe deleted successfully' });
+
+  } catch (error) {
+    console.error('Admin delete recipe error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete recipe',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// GET /api/admin/stats - Platform statistics
+// ============================================
+export const getStats = async (req, res) => {
+  try {
+    // Signups per day over the last `days` days (max one year)
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - (days - 1));
+
+    const [totalUsers, usersByRole, totalRecipes, totalFavorites, recipesByCategory, signups] = await Promise.all([
+      User.count(),
+      User.findAll({
+        attributes: ['role', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        group: ['role'],
+        raw: true
+      }),
+      Recipe.count(),
+      Favorite.count(),
+      Recipe.findAll({
+        attributes: ['category', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        group: ['category'],
+        order: [[sequelize.literal('count'), 'DESC']],
+        raw: true
+      }),
+      User.findAll({
+        attributes: [
+          [sequelize.fn('date_trunc', 'day', sequelize.col('createdAt')), 'day'],
+          [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+        ],
+        where: { createdAt: { [Op.gte]: since } },
+        group: [sequelize.fn('date_trunc', 'day', sequelize.col('createdAt'))],
+        raw: true
+      })
+    ]);
+
+    // One entry per day, including days without signups
+    const signupsByDay = new Map(
+      signups.map(row => [new Date(row.day).toISOString().slice(0, 10), parseInt(row.count)])
+    );
+    const signupsOverTime = Array.from({ length: days }, (_, index) => {
+      const day = new Date(since);
+      day.setUTCDate(since.getUTCDate() + index);
+      const date = day.toISOString().slice(0, 10);
+      return { date, count: signupsByDay.get(date) || 0 };
+    });
+
+    res.json({
+      users: {
+        total: totalUsers,
+        byRole: Object.fromEntries(usersByRole.map(row => [row.role, parseInt(row.count)]))
+      },
+      recipes: {
+        total: totalRecipes,
+        byCategory: Object.fromEntries(recipesByCategory.map(row => [row.category, parseInt(row.count)]))
+      },
+      favorites: {
+        total: totalFavorites
+      },
+      signups: {
+        days,
+        total: signupsOverTime.reduce((sum, day) => sum + day.count, 0),
+        overTime: signupsOverTime
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch stats',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// GET /api/admin/settings/two-factor - 2FA policy
+// ============================================
+export const getTwoFactorSettings = async (req, res) => {
+  try {
+    const policy = await getTwoFactorPolicy();
+    res.json(policy);
+
+  } catch (error) {
+    console.error('Get 2FA settings error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch two-factor settings',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// PUT /api/admin/settings/two-factor - Update 2FA policy
+// ============================================
+export const updateTwoFactorSettings = async (req, res) => {
+  try {
+    const { requiredForAdmins } = req.body;
+
+    if (typeof requiredForAdmins !== 'boolean') {
+      return res.status(400).json({ error: 'requiredForAdmins must be true or false' });
+    }
+
+    // Don't let an admin lock themselves out of the admin API
+    if (requiredForAdmins && !req.user.twoFactorEnabled) {
+      return res.status(400).json({ 
+        error: 'Enable two-factor authentication on your own account first' 
+      });
+    }
+
+    const previous = await getTwoFactorPolicy();
+    const policy = await setSetting(TWO_FACTOR_POLICY_KEY, { requiredForAdmins }, req.user.id);
+
+    await recordAudit(req, {
+      action: 'admin.settings.update',
+      targetType: 'setting',
+      targetId: TWO_FACTOR_POLICY_KEY,
+      before: previous,
+      after: policy
+    });
+
+    console.log(`✅ Admin ${req.user.id} set 2FA requiredForAdmins=${requiredForAdmins}`);
+
+    res.json({
+      message: 'Two-factor settings updated',
+      ...policy
+    });
+
+  } catch (error) {
+    console.error('Update 2FA settings error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update two-factor settings',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// GET /api/admin/settings/moderation - Recipe moderation policy
+// ============================================
+export const getModerationSettings = async (req, res) => {
+  try {
+    const policy = await getModerationPolicy();
+    res.json(policy);
+
+  } catch (error) {
+    console.error('Get moderation settings error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch moderation settings',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// PUT /api/admin/settings/moderation - Turn the moderation queue on/off
+// ============================================
+export const updateModerationSettings = async (req, res) => {
+  try {
+    const { enabled } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    const previous = await getModerationPolicy();
+    const policy = await setSetting(MODERATION_POLICY_KEY, { enabled }, req.user.id);
+
+    await recordAudit(req, {
+      action: 'admin.settings.update',
+      targetType: 'setting',
+      targetId: MODERATION_POLICY_KEY,
+      before: previous,
+      after: policy
+    });
+
+    console.log(`✅ Admin ${req.user.id} set recipe moderation enabled=${enabled}`);
+
+    res.json({
+      message: 'Moderation settings updated',
+      ...policy
+    });
+
+  } catch (error) {
+    console.error('Update moderation settings error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update moderation settings',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// GET /api/admin/settings/trash - Trash retention period
+// ============================================
+export const getTrashSettings = async (req, res) => {
+  try {
+    const policy = await getTrashPolicy();
+    res.json(policy);
+
+  } catch (error) {
+    console.error('Get trash settings error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch trash settings',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// PUT /api/admin/settings/trash - Change how long deleted items are kept
+// ============================================
+export const updateTrashSettings = async (req, res) => {
+  try {
+    const { retentionDays } = req.body;
+
+    if (!Number.isInteger(retentionDays) || retentionDays < 1 || retentionDays > MAX_RETENTION_DAYS) {
+      return res.status(400).json({ error: `retentionDays must be a whole number from 1 to ${MAX_RETENTION_DAYS}` });
+    }
+
+    const previous = await getTrashPolicy();
+    const policy = await setSetting(TRASH_POLICY_KEY, { retentionDays }, req.user.id);
+
+    await recordAudit(req, {
+      action: 'admin.settings.update',
+      targetType: 'setting',
+      targetId: TRASH_POLICY_KEY,
+      before: previous,
+      after: policy
+    });
+
+    console.log(`✅ Admin ${req.user.id} set trash retention to ${retentionDays} days`);
+
+    res.json({
+      message: 'Trash settings updated',
+      ...policy
+    });
+
+  } catch (error) {
+    console.error('Update trash settings error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update trash settings',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// Audit log
+// ============================================
+
+// Shared filters for the audit log list and CSV export
+const auditLogWhere = (query) => {
+  const { actorId, action, targetType, targetId, from, to } = query;
+  const where = {};
+
+  if (actorId) {
+    where.actorId = parseInt(actorId);
+  }
+
+  // "recipe." matches every recipe action, "recipe.delete" only that one
+  if (action) {
+    where.action = action.endsWith('.')
+      ? { [Op.startsWith]: action }
+      : action;
+  }
+
+  if (targetType) {
+    where.targetType = targetType;
+  }
+
+  if (targetId) {
+    where.targetId = String(targetId);
+  }
+
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt[Op.gte] = new Date(from);
+    if (to) where.createdAt[Op.lte] = new Date(to);
+  }
+
+  return where;
+};
+
+// Error message for filters that cannot be applied, or null
+const auditFilterError = ({ actorId, action, targetType, targetId, from, to }) => {
+  if (actorId && !/^\d+$/.test(String(actorId))) {
+    return 'actorId must be a user id';
+  }
+  // Repeated query params (?action=a&action=b) arrive as arrays
+  const notText = Object.entries({ action, targetType, targetId })
+    .find(([, value]) => value !== undefined && typeof value !== 'string');
+  if (notText) {
+    return `${notText[0]} must be a single value`;
+  }
+  if ([from, to].some(value => value && isNaN(new Date(value).getTime()))) {
+    return 'from and to must be valid dates';
+  }
+  return null;
+};
+
+// ============================================
+// GET /api/admin/audit-logs - Filtered, paginated audit log
+// ============================================
+export const listAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const filterError = auditFilterError(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where: auditLogWhere(req.query),
+      order: [['createdAt', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      logs: rows,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(count / pageSize),
+        totalLogs: count,
+        limit: pageSize,
+      }
+    });
+
+  } catch (error) {
+    console.error('List audit logs error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch audit logs',
+      details: error.message 
+    });
+  }
+};
+
+const AUDIT_CSV_COLUMNS = [
+  'createdAt', 'actorId', 'actorEmail', 'action', 'targetType',
+  'targetId', 'changes', 'metadata', 'ipAddress', 'userAgent'
+];
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Keep spreadsheet apps from evaluating values as formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// ============================================
+// GET /api/admin/audit-logs/export - Same filters, as CSV
+// ============================================
+export const exportAuditLogs = async (req, res) => {
+  try {
+    const filterError = auditFilterError(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const logs = await AuditLog.findAll({
+      where: auditLogWhere(req.query),
+      order: [['createdAt', 'DESC']],
+      limit: AUDIT_EXPORT_LIMIT,
+      raw: true
+    });
+
+    const lines = [
+      AUDIT_CSV_COLUMNS.join(','),
+      ...logs.map(log => AUDIT_CSV_COLUMNS.map(column => csvValue(log[column])).join(','))
+    ];
+
+    await recordAudit(req, {
+      action: 'admin.audit_log.export',
+      metadata: { filters: req.query, rows: logs.length }
+    });
+
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(lines.join('\r\n') + '\r\n');
+
+  } catch (error) {
+    console.error('Export audit logs error:', error);
+    res.status(500).json({ 
+      error: 'Failed to export audit logs',
+      details: error.message 
+    });
+  }
+};
@@ -1,15 +1,66 @@
-import { User } from "../models/index.js";
+import sequelize, { User, UserToken, Session } from "../models/index.js";
 import jwt from "jsonwebtoken";
+import bcrypt from "bcryptjs";
+import { Op } from "sequelize";
+import { createOpaqueToken, hashToken } from "../utils/tokens.js";
+import { sendMail } from "../utils/mailer.js";
+import { sendVerificationEmail } from "../utils/emailVerification.js";
+import {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+} from "../utils/loginThrottle.js";
+import { verifySecondFactor, isTwoFactorRequired } from "../utils/twoFactor.js";
+import { recordAudit } from "../utils/audit.js";
+import { isAccountSuspended, suspensionResponse } from "../utils/suspensions.js";
+import {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  findSessionByRefreshToken,
+  sessionContextFromRequest
+} from "../utils/sessions.js";
 
-// ✅ Generate JWT
-const generateToken = (user) => {
-  return jwt.sign(
-    { id: user.id, email: user.email, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: "7d" }
-  );
+// Reset links stay valid for 30 minutes unless configured otherwise
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// Compared against when the email is unknown, so both failures take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("dishcovery-dummy-password", 10);
+const INVALID_CREDENTIALS = { error: "Invalid email or password" };
+
+// Time allowed between the password step and the 2FA code
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+
+const tooManyAttempts = (res, retryAfter) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    error: "Too many failed login attempts",
+    message: `Please try again in ${retryAfter} seconds or reset your password`,
+    retryAfter
+  });
+};
+
+// Suspended users cannot refresh their way back into an old session
+const loadActiveUser = async (id) => {
+  const user = await User.findByPk(id);
+  if (user && await isAccountSuspended(user)) {
+    const error = new Error("Account suspended");
+    error.status = 403;
+    error.body = suspensionResponse(user);
+    throw error;
+  }
+  return user;
 };
 
+const userResponse = (user) => ({
+  id: user.id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified
+});
+
 // ✅ SIGNUP CONTROLLER
 export const signup = async (req, res) => {
   try {
@@ -24,8 +75,8 @@ export const signup = async (req, res) => {
       return res.status(400).json({ error: "Password must be at least 6 characters" });
     }
 
-    // Check duplicate email
-    const existingUser = await User.findOne({ where: { email } });
+    // Check duplicate email (deleted accounts keep theirs until the trash is purged)
+    const existingUser = await User.findOne({ where: { email }, paranoid: false });
     if (existingUser) {
       return res.status(400).json({ error: "Email already exists" });
     }
@@ -45,18 +96,21 @@ export const signup = async (req, res) => {
       role: "user" // Explicitly set role
     });
 
-    const token = generateToken(user);
+    // The account works right away, but some actions need a verified email
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error("❌ Verification email failed:", mailError);
+    }
+
+    const tokens = await createSession(user, sessionContextFromRequest(req));
+
+    await recordAudit(req, { action: "auth.signup", actor: user, targetType: "user", targetId: user.id });
 
     return res.status(201).json({
       message: "Signup successful",
-      token,
-      user: {
-        id: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role
-      },
+      ...tokens,
+      user: userResponse(user),
     });
   } catch (error) {
     console.error("❌ Signup Error:", error);
@@ -77,30 +131,66 @@ export const login = async (req, res) => {
       return res.status(400).json({ error: "Email and password required" });
     }
 
-    // Check if user exists
+    const attempt = { email, ip: req.ip };
+
+    // Too many recent failures for this account or IP
+    const { allowed, retryAfter } = await checkLoginAllowed(attempt);
+    if (!allowed) {
+      await recordAudit(req, { action: "auth.login_blocked", metadata: { email, retryAfter } });
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    // Same response for unknown email and wrong password
     const user = await User.findOne({ where: { email } });
-    if (!user) {
-      return res.status(404).json({ error: "User not found" });
+    const isValid = user
+      ? await user.validatePassword(password)
+      : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+
+    if (!user || !isValid) {
+      await recordLoginFailure(attempt);
+      await recordAudit(req, {
+        action: "auth.login_failed",
+        actor: user,
+        targetType: "user",
+        targetId: user?.id,
+        metadata: { email }
+      });
+      return res.status(401).json(INVALID_CREDENTIALS);
     }
 
-    // Validate password
-    const isValid = await user.validatePassword(password);
-    if (!isValid) {
-      return res.status(400).json({ error: "Invalid password" });
+    await clearLoginFailures(email);
+
+    // Only told after the password matched, so the status does not leak
+    if (await isAccountSuspended(user)) {
+      await recordAudit(req, { action: "auth.login_suspended", actor: user, targetType: "user", targetId: user.id });
+      return res.status(403).json(suspensionResponse(user));
     }
 
-    const token = generateToken(user);
+    // Second step: no session until the TOTP code is verified
+    if (user.twoFactorEnabled) {
+      const challengeToken = jwt.sign(
+        { id: user.id, purpose: "2fa_challenge" },
+        process.env.JWT_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+      );
+
+      return res.json({
+        message: "Two-factor code required",
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
+
+    const tokens = await createSession(user, sessionContextFromRequest(req));
+
+    await recordAudit(req, { action: "auth.login", actor: user, targetType: "user", targetId: user.id });
 
     return res.json({
       message: "Login successful",
-      token,
-      user: {
-        id: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        role: user.role
-      },
+      ...tokens,
+      user: userResponse(user),
+      // Admin routes stay closed until 2FA is set up
+      twoFactorSetupRequired: await isTwoFactorRequired(user)
     });
   } catch (error) {
     console.error("❌ Login Error:", error);
@@ -109,4 +199,390 @@ export const login = async (req, res) => {
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+
+// ✅ LOGIN 2FA CONTROLLER (second step)
+export const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: "challengeToken and code (or recoveryCode) are required" });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch {
+      return res.status(401).json({ error: "Login challenge expired", message: "Please login again" });
+    }
+
+    if (decoded.purpose !== "2fa_challenge") {
+      return res.status(401).json({ error: "Invalid login challenge" });
+    }
+
+    const user = await User.findByPk(decoded.id);
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({ error: "Invalid login challenge" });
+    }
+
+    if (await isAccountSuspended(user)) {
+      return res.status(403).json(suspensionResponse(user));
+    }
+
+    // Code guessing counts towards the same limits as passwords
+    const attempt = { email: user.email, ip: req.ip };
+    const { allowed, retryAfter } = await checkLoginAllowed(attempt);
+    if (!allowed) {
+      await recordAudit(req, { action: "auth.login_blocked", actor: user, metadata: { email: user.email, retryAfter } });
+      return tooManyAttempts(res, retryAfter);
+    }
+
+    const isValid = await verifySecondFactor(user, { code, recoveryCode });
+    if (!isValid) {
+      await recordLoginFailure(attempt);
+      await recordAudit(req, { action: "auth.login_2fa_failed", actor: user, targetType: "user", targetId: user.id });
+      return res.status(401).json({ error: "Invalid two-factor code" });
+    }
+
+    await clearLoginFailures(user.email);
+
+    const tokens = await createSession(user, sessionContextFromRequest(req));
+
+    await recordAudit(req, {
+      action: "auth.login",
+      actor: user,
+      targetType: "user",
+      targetId: user.id,
+      metadata: { twoFactor: true, recoveryCodeUsed: !code }
+    });
+
+    return res.json({
+      message: "Login successful",
+      ...tokens,
+      user: userResponse(user),
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length
+    });
+  } catch (error) {
+    console.error("❌ Login 2FA Error:", error);
+    return res.status(500).json({ 
+      error: "Server error during two-factor login",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ✅ REFRESH TOKEN CONTROLLER
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: "Refresh token is required" });
+    }
+
+    const tokens = await rotateRefreshToken(
+      refreshToken,
+      loadActiveUser,
+      sessionContextFromRequest(req)
+    );
+
+    return res.json({
+      message: "Token refreshed",
+      ...tokens
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      return res.status(401).json({ error: error.message, message: "Please login again" });
+    }
+    if (error.status === 403) {
+      return res.status(403).json(error.body);
+    }
+    console.error("❌ Refresh Error:", error);
+    return res.status(500).json({ 
+      error: "Server error during token refresh",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ✅ LOGOUT CONTROLLER
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    let sessionId = null;
+    let userId = null;
+
+    if (refreshToken) {
+      const session = await findSessionByRefreshToken(refreshToken);
+      sessionId = session?.id;
+      userId = session?.userId;
+    } else if (req.headers.authorization) {
+      // An expired access token is still good enough to identify the session
+      const token = req.headers.authorization.split(" ")[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+      sessionId = decoded.sid;
+      userId = decoded.id;
+    } else {
+      return res.status(400).json({ error: "Refresh token or Authorization header required" });
+    }
+
+    if (sessionId) {
+      await revokeSession(sessionId, "logout");
+      await recordAudit(req, { action: "auth.logout", actor: { id: userId }, targetType: "session", targetId: sessionId });
+      console.log(`✅ Session ${sessionId} logged out`);
+    }
+
+    return res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ error: "Invalid token" });
+    }
+    console.error("❌ Logout Error:", error);
+    return res.status(500).json({ 
+      error: "Server error during logout",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ✅ VERIFY EMAIL CONTROLLER
+export const verifyEmail = async (req, res) => {
+  try {
+    const token = req.query.token || req.body?.token;
+
+    if (!token) {
+      return res.status(400).json({ error: "Verification token is required" });
+    }
+
+    const verificationToken = await UserToken.findOne({
+      where: {
+        tokenHash: hashToken(token),
+        purpose: "email_verification",
+        usedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!verificationToken) {
+      return res.status(400).json({ error: "Invalid or expired verification link" });
+    }
+
+    const verified = await sequelize.transaction(async (transaction) => {
+      const [claimed] = await UserToken.update(
+        { usedAt: new Date() },
+        { where: { id: verificationToken.id, usedAt: null }, transaction }
+      );
+      if (!claimed) return false;
+
+      const user = await User.findByPk(verificationToken.userId, { transaction });
+      if (!user) return false;
+
+      if (!user.emailVerified) {
+        await user.update({ emailVerified: true, emailVerifiedAt: new Date() }, { transaction });
+      }
+
+      return true;
+    });
+
+    if (!verified) {
+      return res.status(400).json({ error: "Invalid or expired verification link" });
+    }
+
+    await recordAudit(req, {
+      action: "auth.email_verified",
+      actor: { id: verificationToken.userId },
+      targetType: "user",
+      targetId: verificationToken.userId
+    });
+
+    console.log(`✅ Email verified for user ${verificationToken.userId}`);
+
+    return res.json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("❌ Verify Email Error:", error);
+    return res.status(500).json({ 
+      error: "Server error during email verification",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ✅ RESEND VERIFICATION CONTROLLER
+export const resendVerification = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: "Email is already verified" });
+    }
+
+    // One email per minute is plenty
+    const recent = await UserToken.findOne({
+      where: {
+        userId: user.id,
+        purpose: "email_verification",
+        createdAt: { [Op.gt]: new Date(Date.now() - 60 * 1000) }
+      }
+    });
+    if (recent) {
+      return res.status(429).json({ error: "Please wait a minute before requesting another email" });
+    }
+
+    await sendVerificationEmail(user);
+
+    return res.json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("❌ Resend Verification Error:", error);
+    return res.status(500).json({ 
+      error: "Server error while sending verification email",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ✅ FORGOT PASSWORD CONTROLLER
+export const forgotPassword = async (req, res) => {
+  // Same answer whether or not the account exists (no email enumeration)
+  const genericResponse = {
+    message: "If an account exists for this email, a password reset link has been sent"
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({ error: "Email is required" });
+    }
+
+    const user = await User.findOne({ where: { email: email.trim() } });
+    if (!user) {
+      return res.json(genericResponse);
+    }
+
+    // Only the most recent reset link should work
+    await UserToken.update(
+      { usedAt: new Date() },
+      { where: { userId: user.id, purpose: "password_reset", usedAt: null } }
+    );
+
+    const { token, tokenHash } = createOpaqueToken();
+    await UserToken.create({
+      userId: user.id,
+      purpose: "password_reset",
+      tokenHash,
+      expiresAt: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000)
+    });
+
+    const resetUrl = `${process.env.PASSWORD_RESET_URL || "dishcovery://reset-password"}?token=${token}`;
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your Dishcovery password",
+        text: [
+          `Hi ${user.firstName},`,
+          "",
+          "We received a request to reset your Dishcovery password.",
+          `Open this link to choose a new one: ${resetUrl}`,
+          "",
+          `Or enter this code in the app: ${token}`,
+          "",
+          `The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.`,
+          "If you did not ask for this, you can ignore this email."
+        ].join("\n")
+      });
+    } catch (mailError) {
+      console.error("❌ Password reset email failed:", mailError);
+    }
+
+    await recordAudit(req, { action: "auth.password_reset_requested", actor: user, targetType: "user", targetId: user.id });
+
+    console.log(`✅ Password reset requested for user ${user.id}`);
+
+    return res.json(genericResponse);
+  } catch (error) {
+    console.error("❌ Forgot Password Error:", error);
+    return res.status(500).json({ 
+      error: "Server error during password reset request",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// ✅ RESET PASSWORD CONTROLLER
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (typeof token !== "string" || !token || typeof newPassword !== "string" || !newPassword) {
+      return res.status(400).json({ error: "Token and newPassword are required" });
+    }
+
+    if (newPassword.length < 6) {
+      return res.status(400).json({ error: "Password must be at least 6 characters" });
+    }
+
+    const resetToken = await UserToken.findOne({
+      where: {
+        tokenHash: hashToken(token),
+        purpose: "password_reset",
+        usedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!resetToken) {
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+    }
+
+    const user = await sequelize.transaction(async (transaction) => {
+      // Claim the token atomically so it cannot be used twice
+      const [claimed] = await UserToken.update(
+        { usedAt: new Date() },
+        { where: { id: resetToken.id, usedAt: null }, transaction }
+      );
+      if (!claimed) return null;
+
+      const user = await User.findByPk(resetToken.userId, { transaction });
+      if (!user) return null;
+
+      // Plain password - the User.beforeUpdate hook hashes it
+      user.password = newPassword;
+      await user.save({ transaction });
+
+      // Invalidate any other outstanding reset links
+      await UserToken.update(
+        { usedAt: new Date() },
+        { where: { userId: user.id, purpose: "password_reset", usedAt: null }, transaction }
+      );
+
+      // Sign out every device that used the old password
+      await Session.update(
+        { revokedAt: new Date(), revokedReason: "password_reset" },
+        { where: { userId: user.id, revokedAt: null }, transaction }
+      );
+
+      return user;
+    });
+
+    if (!user) {
+      return res.status(400).json({ error: "Invalid or expired reset token" });
+    }
+
+    // Resetting the password also lifts a login lockout
+    await clearLoginFailures(user.email);
+
+    await recordAudit(req, { action: "auth.password_reset", actor: user, targetType: "user", targetId: user.id });
+
+    console.log(`✅ Password reset for user ${resetToken.userId}`);
+
+    return res.json({ message: "Password has been reset successfully" });
+  } catch (error) {
+    console.error("❌ Reset Password Error:", error);
+    return res.status(500).json({ 
+      error: "Server error during password reset",
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
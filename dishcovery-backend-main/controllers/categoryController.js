@@ -0,0 +1,229 @@
+// controllers/categoryController.js
+// ✅ Cuisine hierarchy: public tree, admin create/update/delete
+
+import sequelize, { Category, Recipe } from "../models/index.js";
+import { recordAudit } from "../utils/audit.js";
+import { slugify } from "../utils/slugify.js";
+import {
+  loadCategories,
+  findCategory,
+  buildCategoryTree,
+  countRecipesByCategory,
+  wouldCreateCycle
+} from "../utils/categories.js";
+
+const MAX_NAME_LENGTH = 60;
+
+const cleanName = (name) => String(name ?? '').trim().replace(/\s+/g, ' ');
+
+// ============================================
+// GET /api/categories - Tree with recipe counts
+// ============================================
+export const listCategories = async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      loadCategories(),
+      countRecipesByCategory()
+    ]);
+
+    res.json({ categories: buildCategoryTree(categories, counts) });
+
+  } catch (error) {
+    console.error('List categories error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch categories',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/admin/categories - Add a category
+// ============================================
+export const createCategory = async (req, res) => {
+  try {
+    const name = cleanName(req.body.name);
+    const slug = slugify(req.body.slug || name);
+
+    if (!name || name.length > MAX_NAME_LENGTH || !slug) {
+      return res.status(400).json({ error: `Category name must be 1-${MAX_NAME_LENGTH} characters with at least one letter or digit` });
+    }
+
+    const categories = await loadCategories();
+
+    let parentId = null;
+    if (req.body.parentId !== undefined && req.body.parentId !== null) {
+      const parent = findCategory(categories, req.body.parentId);
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent category not found' });
+      }
+      parentId = parent.id;
+    }
+
+    if (categories.some(category => category.slug === slug)) {
+      return res.status(409).json({ error: `A category with slug "${slug}" already exists` });
+    }
+
+    const category = await Category.create({ name, slug, parentId });
+
+    await recordAudit(req, {
+      action: 'category.create',
+      targetType: 'category',
+      targetId: category.id,
+      after: category
+    });
+
+    console.log(`✅ Category created: ${category.name} (ID: ${category.id})`);
+
+    res.status(201).json({ message: 'Category created', category });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create category',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// PUT /api/admin/categories/:id - Rename or move a category
+// ============================================
+export const updateCategory = async (req, res) => {
+  try {
+    const category = await Category.findByPk(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const updates = {};
+
+    if (req.body.name !== undefined) {
+      const name = cleanName(req.body.name);
+      if (!name || name.length > MAX_NAME_LENGTH) {
+        return res.status(400).json({ error: `Category name must be 1-${MAX_NAME_LENGTH} characters` });
+      }
+      updates.name = name;
+    }
+
+    if (req.body.parentId !== undefined) {
+      const categories = await loadCategories();
+      let parentId = null;
+
+      if (req.body.parentId !== null) {
+        const parent = findCategory(categories, req.body.parentId);
+        if (!parent) {
+          return res.status(404).json({ error: 'Parent category not found' });
+        }
+        parentId = parent.id;
+      }
+
+      if (wouldCreateCycle(categories, category.id, parentId)) {
+        return res.status(400).json({ error: 'A category cannot be moved under itself or one of its subcategories' });
+      }
+      updates.parentId = parentId;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update (name or parentId)' });
+    }
+
+    // The slug stays the same so existing links and filters keep working
+    const before = category.toJSON();
+    await sequelize.transaction(async (transaction) => {
+      await category.update(updates, { transaction });
+      if (updates.name) {
+        await Recipe.update(
+          { category: updates.name },
+          // paranoid: false - trashed recipes are restored with the new name
+          { where: { categoryId: category.id }, silent: true, paranoid: false, transaction }
+        );
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'category.update',
+      targetType: 'category',
+      targetId: category.id,
+      before,
+      after: category
+    });
+
+    console.log(`✅ Category ${category.id} updated by user ${req.user.id}`);
+
+    res.json({ message: 'Category updated', category });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update category',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// DELETE /api/admin/categories/:id - Remove a category
+// ============================================
+export const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findByPk(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const [childCount, recipeCount] = await Promise.all([
+      Category.count({ where: { parentId: category.id } }),
+      // Trashed recipes count too: they keep the category when restored
+      Recipe.count({ where: { categoryId: category.id }, paranoid: false })
+    ]);
+
+    if (childCount > 0) {
+      return res.status(409).json({ error: 'Move or delete the subcategories first' });
+    }
+
+    let parent = null;
+    if (recipeCount > 0) {
+      parent = category.parentId ? await Category.findByPk(category.parentId) : null;
+      if (!parent) {
+        return res.status(409).json({ 
+          error: `${recipeCount} recipes still use this category`,
+          message: 'Move them to another category first'
+        });
+      }
+    }
+
+    // Recipes move up to the parent category
+    await sequelize.transaction(async (transaction) => {
+      if (parent) {
+        await Recipe.update(
+          { categoryId: parent.id, category: parent.name },
+          { where: { categoryId: category.id }, silent: true, paranoid: false, transaction }
+        );
+      }
+      await category.destroy({ transaction });
+    });
+
+    await recordAudit(req, {
+      action: 'category.delete',
+      targetType: 'category',
+      targetId: category.id,
+      before: category,
+      metadata: parent ? { recipesMovedTo: parent.id, recipes: recipeCount } : undefined
+    });
+
+    console.log(`✅ Category ${category.id} deleted by user ${req.user.id}`);
+
+    res.json({ 
+      message: 'Category deleted',
+      recipesMovedTo: parent ? { id: parent.id, name: parent.name, slug: parent.slug } : null
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete category',
+      details: error.message 
+    });
+  }
+};
@@ -1,5 +1,8 @@
 // /controllers/favoriteController.js
+import { Op } from "sequelize";
 import { Favorite, Recipe } from "../models/index.js";
+import { PUBLIC_RECIPE_WHERE } from "../utils/recipeStatus.js";
+import { toStructuredIngredients, withIngredientText } from "../utils/ingredients.js";
 
 // Toggle favorite: if exists -> remove, else add
 export const toggleFavorite = async (req, res) => {
@@ -13,6 +16,12 @@ export const toggleFavorite = async (req, res) => {
       return res.json({ message: "Removed from favorites" });
     }
 
+    // Deleted (trashed) recipes cannot be added
+    const recipe = await Recipe.findByPk(recipeId, { attributes: ["id"] });
+    if (!recipe) {
+      return res.status(404).json({ error: "Recipe not found" });
+    }
+
     await Favorite.create({ userId, recipeId });
     return res.json({ message: "Added to favorites" });
   } catch (err) {
@@ -29,8 +38,20 @@ export const getUserFavorites = async (req, res) => {
     const favs = await Favorite.findAll({ where: { userId }, attributes: ["recipeId"] });
     const recipeIds = favs.map(f => f.recipeId);
 
-    const recipes = await Recipe.findAll({ where: { id: recipeIds } });
-    return res.json(recipes);
+    // Recipes that were unpublished, archived or deleted since stay hidden (except
+    // your own drafts); trashed recipes come back when they are restored
+    const recipes = await Recipe.findAll({
+      where: {
+        id: recipeIds,
+        [Op.or]: [PUBLIC_RECIPE_WHERE, { userId }]
+      }
+    });
+
+    // Ingredients in the same format as the recipe endpoints
+    return res.json(recipes.map(recipe => {
+      const recipeData = recipe.toJSON();
+      return { ...recipeData, ingredients: withIngredientText(toStructuredIngredients(recipeData.ingredients)) };
+    }));
   } catch (err) {
     console.error("getUserFavorites error:", err);
     return res.status(500).json({ error: err.message });
@@ -0,0 +1,226 @@
+// controllers/moderationController.js
+// ✅ Recipe moderation queue (moderators and admins)
+
+import { Recipe, User } from "../models/index.js";
+import { MODERATION_STATUSES } from "../models/Recipe.js";
+import { recordAudit } from "../utils/audit.js";
+import { notifyModerationOutcome } from "../utils/moderation.js";
+
+const QUEUE_AUTHOR_ATTRIBUTES = ['id', 'firstName', 'lastName', 'email', 'trusted', 'createdAt'];
+
+// Audit log action per decision
+const REVIEW_ACTIONS = {
+  approved: 'moderation.recipe.approve',
+  rejected: 'moderation.recipe.reject',
+  changes_requested: 'moderation.recipe.request_changes'
+};
+
+// Moderation statuses each decision can be made from (published recipes only)
+const REVIEWABLE_FROM = {
+  approved: ['pending', 'rejected', 'changes_requested'],
+  rejected: ['pending', 'changes_requested', 'approved'],
+  changes_requested: ['pending', 'approved']
+};
+
+// ============================================
+// GET /api/moderation/recipes - Review queue
+// ============================================
+export const getModerationQueue = async (req, res) => {
+  try {
+    const { 
+      status = 'pending', // pending, rejected, changes_requested
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    if (!MODERATION_STATUSES.includes(status) || status === 'approved') {
+      return res.status(400).json({ 
+        error: 'status must be one of: pending, rejected, changes_requested' 
+      });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    // Oldest submissions first (drafts and archived recipes are not reviewed)
+    const { count, rows } = await Recipe.findAndCountAll({
+      where: { moderationStatus: status, status: 'published' },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: QUEUE_AUTHOR_ATTRIBUTES
+      }],
+      order: [['updatedAt', 'ASC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      recipes: rows,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(count / pageSize),
+        totalRecipes: count,
+        limit: pageSize,
+      }
+    });
+
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch moderation queue',
+      details: error.message 
+    });
+  }
+};
+
+// Shared by approve, reject and request-changes
+const reviewRecipe = async (req, res, moderationStatus) => {
+  const note = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (moderationStatus !== 'approved' && !note) {
+    return res.status(400).json({ error: 'A reason is required' });
+  }
+
+  const recipe = await Recipe.findByPk(req.params.id, {
+    include: [{ model: User, as: 'user', attributes: QUEUE_AUTHOR_ATTRIBUTES }]
+  });
+
+  if (!recipe) {
+    return res.status(404).json({ error: 'Recipe not found' });
+  }
+
+  // Drafts and archived recipes are not reviewed: publishing sets the status anyway
+  if (recipe.status !== 'published') {
+    return res.status(409).json({ error: `Only published recipes can be reviewed (this one is ${recipe.status})` });
+  }
+
+  if (!REVIEWABLE_FROM[moderationStatus].includes(recipe.moderationStatus)) {
+    return res.status(409).json({ error: `Recipe is already ${recipe.moderationStatus}` });
+  }
+
+  const before = { moderationStatus: recipe.moderationStatus, moderationNote: recipe.moderationNote };
+  await recipe.update({
+    moderationStatus,
+    moderationNote: note ? note.slice(0, 2000) : null,
+    moderatedById: req.user.id,
+    moderatedAt: new Date()
+  }, { silent: true }); // keep updatedAt = when the author last submitted
+
+  await recordAudit(req, {
+    action: REVIEW_ACTIONS[moderationStatus],
+    targetType: 'recipe',
+    targetId: recipe.id,
+    before,
+    after: { moderationStatus, moderationNote: recipe.moderationNote },
+    metadata: { ownerId: recipe.userId }
+  });
+
+  await notifyModerationOutcome(recipe, recipe.user);
+
+  console.log(`✅ Moderator ${req.user.id} set recipe ${recipe.id} to ${moderationStatus}`);
+
+  return res.json({
+    message: 'Recipe reviewed',
+    recipe: {
+      id: recipe.id,
+      name: recipe.name,
+      userId: recipe.userId,
+      moderationStatus: recipe.moderationStatus,
+      moderationNote: recipe.moderationNote,
+      moderatedAt: recipe.moderatedAt
+    }
+  });
+};
+
+// ============================================
+// POST /api/moderation/recipes/:id/approve - Publish a recipe
+// ============================================
+export const approveRecipe = async (req, res) => {
+  try {
+    await reviewRecipe(req, res, 'approved');
+
+  } catch (error) {
+    console.error('Approve recipe error:', error);
+    res.status(500).json({ 
+      error: 'Failed to approve recipe',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/moderation/recipes/:id/reject - Reject with a reason
+// ============================================
+export const rejectRecipe = async (req, res) => {
+  try {
+    await reviewRecipe(req, res, 'rejected');
+
+  } catch (error) {
+    console.error('Reject recipe error:', error);
+    res.status(500).json({ 
+      error: 'Failed to reject recipe',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/moderation/recipes/:id/request-changes - Send back to the author
+// ============================================
+export const requestRecipeChanges = async (req, res) => {
+  try {
+    await reviewRecipe(req, res, 'changes_requested');
+
+  } catch (error) {
+    console.error('Request changes error:', error);
+    res.status(500).json({ 
+      error: 'Failed to request changes',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// PUT /api/moderation/users/:id/trusted - Let a user skip the queue
+// ============================================
+export const setUserTrusted = async (req, res) => {
+  try {
+    const { trusted } = req.body;
+
+    if (typeof trusted !== 'boolean') {
+      return res.status(400).json({ error: 'trusted must be true or false' });
+    }
+
+    const user = await User.findByPk(req.params.id, { attributes: QUEUE_AUTHOR_ATTRIBUTES });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const before = { trusted: user.trusted };
+    await user.update({ trusted });
+
+    await recordAudit(req, {
+      action: trusted ? 'moderation.user.trust' : 'moderation.user.untrust',
+      targetType: 'user',
+      targetId: user.id,
+      before,
+      after: { trusted }
+    });
+
+    console.log(`✅ Moderator ${req.user.id} set trusted=${trusted} for user ${user.id}`);
+
+    res.json({
+      message: trusted ? 'User is now trusted' : 'User is no longer trusted',
+      user
+    });
+
+  } catch (error) {
+    console.error('Set trusted error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update user',
+      details: error.message 
+    });
+  }
+};
@@ -1,8 +1,43 @@
 // controllers/recipeController.js
 // ✅ Fixed with correct import paths
 
-import { Recipe, User } from "../models/index.js";
+import { Op } from "sequelize";
+import sequelize, { Recipe, User, Tag } from "../models/index.js";
 import { uploadToCloudinary } from "../config/cloudinary.js";
+import { recordAudit } from "../utils/audit.js";
+import { visibleAuthorCondition } from "../utils/suspensions.js";
+import { submissionStatusFor, canViewUnapproved } from "../utils/moderation.js";
+import { normalizeIngredients, toStructuredIngredients, withIngredientText } from "../utils/ingredients.js";
+import { scaleIngredients, MAX_SERVINGS } from "../utils/scaling.js";
+import { convertIngredients } from "../utils/unitConversion.js";
+import { UNIT_SYSTEMS } from "../config/units.js";
+import { DIETS } from "../config/allergens.js";
+import { buildSearchQuery, searchCondition, searchAttributes } from "../utils/recipeSearch.js";
+import { parseIngredientTerms, matchIngredients, recipeHasIngredient, wordStem } from "../utils/ingredientMatching.js";
+import {
+  resolveContains,
+  allergensOf,
+  dietsOf,
+  parseAllergenList,
+  normalizeAllergenOverrides,
+  dietaryCondition,
+  EMPTY_OVERRIDES
+} from "../utils/allergens.js";
+import {
+  normalizeTagList,
+  findOrCreateTags,
+  parseTagSlugs,
+  tagFilterCondition,
+  tagsForRecipes,
+  formatTag,
+  TAG_ATTRIBUTES
+} from "../utils/tags.js";
+import { loadCategories, findCategory, categoryCondition, categoryPath } from "../utils/categories.js";
+import { PUBLIC_RECIPE_WHERE, canViewRecipe, missingForPublish } from "../utils/recipeStatus.js";
+import { RECIPE_STATUSES } from "../models/Recipe.js";
+import { ensureInitialRevision, recordRevision } from "../utils/recipeRevisions.js";
+import { buildForkLineage, resolveLineage } from "../utils/recipeForks.js";
+import { getTrashPolicy, purgeDate, canRestoreRecipe } from "../utils/trash.js";
 
 // ============================================
 // Helper: Parse JSON fields from form-data
@@ -17,6 +52,57 @@ const parseJSONField = (field) => {
   }
 };
 
+// ============================================
+// Helper: Validate a servings count (body or query)
+// ============================================
+const parseServings = (value) => {
+  const servings = Number(value);
+  return Number.isInteger(servings) && servings >= 1 && servings <= MAX_SERVINGS ? servings : null;
+};
+
+// ============================================
+// Helper: Unit system from ?units=, else the user's preference
+// ============================================
+const resolveUnitSystem = (req) => {
+  const units = req.query.units || req.user?.preferredUnits || 'original';
+  return UNIT_SYSTEMS.includes(units) ? units : null;
+};
+
+const INVALID_UNITS = { error: `units must be one of: ${UNIT_SYSTEMS.join(', ')}` };
+
+// ============================================
+// Helper: Allergen/diet filters from the query, else the user's restrictions
+// (?excludeAllergens= or ?diet=any turns the stored ones off)
+// ============================================
+const resolveDietaryFilters = (req) => {
+  let excludeAllergens = req.user?.excludedAllergens || [];
+  if (req.query.excludeAllergens !== undefined) {
+    const allergenCheck = parseAllergenList(req.query.excludeAllergens);
+    if (allergenCheck.error) return { error: allergenCheck.error };
+    excludeAllergens = allergenCheck.allergens;
+  }
+
+  let diet = req.user?.diet || null;
+  if (req.query.diet !== undefined) {
+    diet = ['', 'any'].includes(req.query.diet) ? null : req.query.diet;
+    if (diet && (typeof diet !== 'string' || !Object.hasOwn(DIETS, diet))) {
+      return { error: `diet must be one of: ${Object.keys(DIETS).join(', ')}, any` };
+    }
+  }
+
+  return { filters: { excludeAllergens, diet } };
+};
+
+// ============================================
+// Helper: Category of a recipe from categoryId or category (id, slug or name)
+// ============================================
+const resolveCategoryInput = async (value) => {
+  const category = findCategory(await loadCategories(), value);
+  return category
+    ? { category }
+    : { error: `Unknown category "${value}". See GET /api/categories for the list` };
+};
+
 // ============================================
 // GET /api/recipes - Get all recipes with filters
 // ============================================
@@ -24,48 +110,78 @@ export const getAllRecipes = async (req, res) => {
   try {
     const { 
       q,              // Search query
-      category,       // Filter by category
+      category,       // Filter by category (id, slug or name, includes subcategories)
+      tags,           // Filter by tags (comma separated slugs)
+      tagMatch = 'any', // any | all of the tags
       minRating,      // Minimum rating
       maxCookingTime, // Maximum cooking time
       page = 1,       // Page number
       limit = 20      // Items per page
     } = req.query;
 
-    // Build query conditions
-    const where = {};
+    const units = resolveUnitSystem(req);
+    if (!units) {
+      return res.status(400).json(INVALID_UNITS);
+    }
+
+    const { filters: dietary, error: dietaryError } = resolveDietaryFilters(req);
+    if (dietaryError) {
+      return res.status(400).json({ error: dietaryError });
+    }
+
+    // Build query conditions (only published, approved recipes, suspended authors stay hidden)
+    const where = {
+      ...PUBLIC_RECIPE_WHERE,
+      [Op.and]: [visibleAuthorCondition()]
+    };
+
+    const allergenCondition = dietaryCondition(dietary);
+    if (allergenCondition) {
+      where[Op.and].push(allergenCondition);
+    }
     
     if (category) {
-      where.category = category;
+      Object.assign(where, await categoryCondition(category));
+    }
+
+    const tagSlugs = parseTagSlugs(tags);
+    if (tagSlugs.length > 0) {
+      if (!['any', 'all'].includes(tagMatch)) {
+        return res.status(400).json({ error: 'tagMatch must be "any" or "all"' });
+      }
+      where[Op.and].push(tagFilterCondition(tagSlugs, tagMatch));
     }
     
     if (minRating) {
-      where.rating = { $gte: parseFloat(minRating) };
+      where.rating = { [Op.gte]: parseFloat(minRating) };
     }
     
     if (maxCookingTime) {
-      where.cookingTime = { $lte: parseInt(maxCookingTime) };
+      where.cookingTime = { [Op.lte]: parseInt(maxCookingTime) };
     }
     
-    // Search in name or description
-    if (q) {
-      where.$or = [
-        { name: { $iLike: `%${q}%` } },
-        { description: { $iLike: `%${q}%` } }
-      ];
+    // Full-text search over name, category, ingredients and description
+    const searchQuery = buildSearchQuery(q);
+    if (searchQuery) {
+      where[Op.and].push(searchCondition(searchQuery));
     }
 
     // Calculate pagination
     const offset = (parseInt(page) - 1) * parseInt(limit);
 
     // Fetch recipes with user information
+    // Search results come best match first
     const recipes = await Recipe.findAll({
       where,
+      attributes: searchQuery ? { include: searchAttributes(searchQuery) } : undefined,
       include: [{
         model: User,
         as: 'user',
         attributes: ['id', 'firstName', 'lastName', 'email']
       }],
-      order: [['createdAt', 'DESC']],
+      order: searchQuery
+        ? [[sequelize.literal('"searchRank"'), 'DESC'], ['createdAt', 'DESC']]
+        : [['createdAt', 'DESC']],
       limit: parseInt(limit),
       offset: offset
     });
@@ -74,6 +190,8 @@ export const getAllRecipes = async (req, res) => {
     const totalRecipes = await Recipe.count({ where });
     const totalPages = Math.ceil(totalRecipes / parseInt(limit));
 
+    const recipeTags = await tagsForRecipes(recipes.map(recipe => recipe.id));
+
     // Format response
     const formattedRecipes = recipes.map(recipe => {
       const recipeData = recipe.toJSON();
@@ -81,24 +199,38 @@ export const getAllRecipes = async (req, res) => {
         id: recipeData.id,
         name: recipeData.name,
         category: recipeData.category,
+        categoryId: recipeData.categoryId,
         cookingTime: recipeData.cookingTime,
         prepTime: recipeData.prepTime,
+        servings: recipeData.servings,
         rating: recipeData.rating,
+        ratingCount: recipeData.ratingCount,
         description: recipeData.description,
         image: recipeData.image,
-        ingredients: recipeData.ingredients,
+        ingredients: withIngredientText(convertIngredients(toStructuredIngredients(recipeData.ingredients), units)),
         instructions: recipeData.instructions,
+        tags: recipeTags.get(recipeData.id),
+        allergens: allergensOf(recipeData.contains),
+        diets: dietsOf(recipeData.contains),
         createdAt: recipeData.createdAt,
         updatedAt: recipeData.updatedAt,
         userId: recipeData.userId,
         authorName: recipeData.user 
           ? `${recipeData.user.firstName} ${recipeData.user.lastName}`
-          : 'Unknown'
+          : 'Unknown',
+        ...(searchQuery && {
+          searchRank: recipeData.searchRank,
+          highlight: {
+            name: recipeData.nameHighlight,
+            description: recipeData.descriptionHighlight
+          }
+        })
       };
     });
 
     res.json({
       recipes: formattedRecipes,
+      filters: { ...dietary, tags: tagSlugs, tagMatch },
       pagination: {
         currentPage: parseInt(page),
         totalPages,
@@ -116,6 +248,148 @@ export const getAllRecipes = async (req, res) => {
   }
 };
 
+// ============================================
+// Helper: Rough SQL pre-filter on the ingredient names
+// (substring match on every word's stem, the exact word match is done by
+// matchIngredients). Only names count, plus entries still stored as strings,
+// so "unit" or "note" never match the keys of the JSONB objects.
+// ============================================
+const INGREDIENT_NAMES = sequelize.literal(
+  `CAST(jsonb_path_query_array("Recipe"."ingredients", '$[*] ? (@.type() == "string")')`
+  + ` || jsonb_path_query_array("Recipe"."ingredients", '$[*].name') AS text)`
+);
+
+// Candidates scored in memory per request, best rated first
+const MAX_INGREDIENT_CANDIDATES = 500;
+
+const ingredientsContain = (term) => ({
+  [Op.and]: term.split(' ').map(word => sequelize.where(INGREDIENT_NAMES, { [Op.iLike]: `%${wordStem(word)}%` }))
+});
+
+// ============================================
+// GET /api/recipes/by-ingredients - "What can I cook?"
+// ============================================
+export const getRecipesByIngredients = async (req, res) => {
+  try {
+    const { maxMissing, category, page = 1, limit = 20 } = req.query;
+
+    const have = parseIngredientTerms(req.query.have);
+    const include = parseIngredientTerms(req.query.include);
+    const exclude = parseIngredientTerms(req.query.exclude);
+
+    if (have.length === 0 && include.length === 0) {
+      return res.status(400).json({
+        error: 'No ingredients given',
+        message: 'Pass the ingredients you have, e.g. ?have=yam,egg,tomato'
+      });
+    }
+
+    let missingLimit = null;
+    if (maxMissing !== undefined && maxMissing !== '') {
+      missingLimit = Number(maxMissing);
+      if (!Number.isInteger(missingLimit) || missingLimit < 0) {
+        return res.status(400).json({ error: 'maxMissing must be a whole number (0 or more)' });
+      }
+    }
+
+    const { filters: dietary, error: dietaryError } = resolveDietaryFilters(req);
+    if (dietaryError) {
+      return res.status(400).json({ error: dietaryError });
+    }
+
+    // Must-include ingredients count as ingredients on hand
+    const onHand = [...new Set([...have, ...include])];
+
+    // Only published, approved recipes of visible authors that mention at least one of the ingredients
+    const where = {
+      ...PUBLIC_RECIPE_WHERE,
+      [Op.and]: [
+        visibleAuthorCondition(),
+        { [Op.or]: onHand.map(ingredientsContain) },
+        ...include.map(ingredientsContain),
+        dietaryCondition(dietary)
+      ].filter(Boolean)
+    };
+
+    if (category) {
+      Object.assign(where, await categoryCondition(category));
+    }
+
+    const candidates = await Recipe.findAll({
+      where,
+      attributes: ['id', 'name', 'category', 'categoryId', 'image', 'cookingTime', 'prepTime', 'servings', 'rating', 'ratingCount', 'ingredients', 'contains', 'userId', 'createdAt'],
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName']
+      }],
+      order: [['rating', 'DESC'], ['id', 'ASC']],
+      limit: MAX_INGREDIENT_CANDIDATES
+    });
+
+    const matches = candidates
+      .map(recipe => {
+        const recipeData = recipe.toJSON();
+        const ingredients = toStructuredIngredients(recipeData.ingredients);
+        return { recipeData, ingredients, match: matchIngredients(ingredients, onHand) };
+      })
+      .filter(({ ingredients, match }) => (
+        match.matchedCount > 0 &&
+        include.every(term => recipeHasIngredient(ingredients, term)) &&
+        !exclude.some(term => recipeHasIngredient(ingredients, term)) &&
+        (missingLimit === null || match.missingIngredients.length <= missingLimit)
+      ))
+      // Best coverage first, then fewest things to buy, then best rated
+      .sort((a, b) => (
+        b.match.score - a.match.score ||
+        a.match.missingIngredients.length - b.match.missingIngredients.length ||
+        (b.recipeData.rating || 0) - (a.recipeData.rating || 0)
+      ));
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const offset = (pageNumber - 1) * pageSize;
+
+    const recipes = matches.slice(offset, offset + pageSize).map(({ recipeData, match }) => ({
+      id: recipeData.id,
+      name: recipeData.name,
+      category: recipeData.category,
+      categoryId: recipeData.categoryId,
+      image: recipeData.image,
+      cookingTime: recipeData.cookingTime,
+      prepTime: recipeData.prepTime,
+      servings: recipeData.servings,
+      rating: recipeData.rating,
+      ratingCount: recipeData.ratingCount,
+      allergens: allergensOf(recipeData.contains),
+      diets: dietsOf(recipeData.contains),
+      userId: recipeData.userId,
+      authorName: recipeData.user
+        ? `${recipeData.user.firstName} ${recipeData.user.lastName}`
+        : 'Unknown',
+      match
+    }));
+
+    res.json({
+      recipes,
+      filters: { have, include, exclude, maxMissing: missingLimit, ...dietary },
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(matches.length / pageSize),
+        totalRecipes: matches.length,
+        limit: pageSize
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recipes by ingredients error:', error);
+    res.status(500).json({ 
+      error: 'Failed to search recipes by ingredients',
+      details: error.message 
+    });
+  }
+};
+
 // ============================================
 // GET /api/recipes/:id - Get recipe by ID
 // ============================================
@@ -128,34 +402,94 @@ export const getRecipeById = async (req, res) => {
         model: User,
         as: 'user',
         attributes: ['id', 'firstName', 'lastName', 'email', 'createdAt']
+      }, {
+        model: Tag,
+        as: 'tags',
+        attributes: TAG_ATTRIBUTES,
+        through: { attributes: [] }
       }]
     });
 
-    if (!recipe) {
+    // Drafts and archived recipes are only visible to the author,
+    // pending and rejected ones to the author and moderators
+    if (!recipe || !canViewRecipe(req.user, recipe)) {
       return res.status(404).json({ error: 'Recipe not found' });
     }
 
     const recipeData = recipe.toJSON();
+
+    // ?servings=N returns the ingredients scaled from the recipe's own servings
+    let servings = recipeData.servings;
+    let ingredients = toStructuredIngredients(recipeData.ingredients);
+
+    if (req.query.servings !== undefined) {
+      servings = parseServings(req.query.servings);
+      if (!servings) {
+        return res.status(400).json({ error: `servings must be a whole number from 1 to ${MAX_SERVINGS}` });
+      }
+      ingredients = scaleIngredients(ingredients, servings / recipeData.servings);
+    }
+
+    // ?units=metric|imperial|original, default: the signed-in user's preference
+    const units = resolveUnitSystem(req);
+    if (!units) {
+      return res.status(400).json(INVALID_UNITS);
+    }
+    ingredients = withIngredientText(convertIngredients(ingredients, units));
+
+    // Breadcrumb such as Nigerian → Yoruba
+    const path = recipeData.categoryId ? categoryPath(await loadCategories(), recipeData.categoryId) : [];
+
+    // Where this recipe comes from, and how often it was forked
+    const [lineage, forkCount] = await Promise.all([
+      resolveLineage(recipeData.forkLineage, req.user),
+      Recipe.count({
+        where: {
+          forkedFromId: recipeData.id,
+          ...PUBLIC_RECIPE_WHERE,
+          [Op.and]: [visibleAuthorCondition()]
+        }
+      })
+    ]);
     
     // Format response
     const formattedRecipe = {
       id: recipeData.id,
       name: recipeData.name,
       category: recipeData.category,
+      categoryId: recipeData.categoryId,
+      categoryPath: path,
       cookingTime: recipeData.cookingTime,
       prepTime: recipeData.prepTime,
+      servings,
+      originalServings: recipeData.servings,
+      units,
       rating: recipeData.rating,
+      ratingCount: recipeData.ratingCount,
+      ratingDistribution: recipeData.ratingDistribution,
       description: recipeData.description,
       image: recipeData.image,
-      ingredients: recipeData.ingredients,
+      ingredients,
       instructions: recipeData.instructions,
+      tags: recipeData.tags,
+      allergens: allergensOf(recipeData.contains),
+      diets: dietsOf(recipeData.contains),
+      allergenOverrides: recipeData.allergenOverrides,
       createdAt: recipeData.createdAt,
       updatedAt: recipeData.updatedAt,
       userId: recipeData.userId,
       authorName: recipeData.user 
         ? `${recipeData.user.firstName} ${recipeData.user.lastName}`
         : 'Unknown',
-      authorJoinedAt: recipeData.user?.createdAt
+      authorJoinedAt: recipeData.user?.createdAt,
+      status: recipeData.status,
+      publishedAt: recipeData.publishedAt,
+      forkedFromId: recipeData.forkedFromId,
+      forkedFrom: lineage[0] || null,
+      lineage,
+      forkCount,
+      moderationStatus: recipeData.moderationStatus,
+      moderationNote: canViewUnapproved(req.user, recipe) ? recipeData.moderationNote : undefined
     };
 
     res.json(formattedRecipe);
@@ -182,8 +516,9 @@ export const createRecipe = async (req, res) => {
       category = 'Nigerian',
       cookingTime = 30,
       prepTime = 10,
-      rating = 0,
+      servings = 4,
       description = '',
+      status = 'published' // draft | published
     } = req.body;
 
     // Parse ingredients and instructions (already parsed by middleware)
@@ -198,25 +533,67 @@ export const createRecipe = async (req, res) => {
       instructions = parseJSONField(instructions);
     }
 
-    // Validate required fields
+    // New recipes are either published right away or saved as drafts
+    if (!['draft', 'published'].includes(status)) {
+      return res.status(400).json({ error: 'status must be draft or published' });
+    }
+    const isDraft = status === 'draft';
+
+    // Validate required fields (drafts only need a name)
     if (!name || !name.trim()) {
       return res.status(400).json({ error: 'Recipe name is required' });
     }
 
-    if (!ingredients || !Array.isArray(ingredients) || ingredients.length === 0) {
+    if (!parseServings(servings)) {
+      return res.status(400).json({ error: `Servings must be a whole number from 1 to ${MAX_SERVINGS}` });
+    }
+
+    // Strings ("2 cups rice") or { quantity, unit, name, note, group }
+    const ingredientCheck = normalizeIngredients(ingredients, { allowEmpty: isDraft });
+    if (ingredientCheck.error) {
       return res.status(400).json({ 
-        error: 'At least one ingredient is required',
+        error: ingredientCheck.error,
         received: ingredients
       });
     }
 
-    if (!instructions || !Array.isArray(instructions) || instructions.length === 0) {
+    if (isDraft && (instructions === undefined || instructions === null)) {
+      instructions = [];
+    }
+
+    if (!Array.isArray(instructions) || (!isDraft && instructions.length === 0)) {
       return res.status(400).json({ 
         error: 'At least one instruction is required',
         received: instructions
       });
     }
 
+    // Author corrections to the detected allergens
+    let allergenOverrides = EMPTY_OVERRIDES;
+    if (req.body.allergenOverrides !== undefined) {
+      const overrideCheck = normalizeAllergenOverrides(parseJSONField(req.body.allergenOverrides));
+      if (overrideCheck.error) {
+        return res.status(400).json({ error: overrideCheck.error });
+      }
+      allergenOverrides = overrideCheck.overrides;
+    }
+
+    // categoryId or category (id, slug or name) from GET /api/categories
+    const categoryCheck = await resolveCategoryInput(req.body.categoryId ?? category);
+    if (categoryCheck.error) {
+      return res.status(400).json({ error: categoryCheck.error });
+    }
+
+    // Names ("Breakfast") or { name, type }, unknown tags are created
+    let tagList = [];
+    if (req.body.tags !== undefined) {
+      const tagCheck = normalizeTagList(parseJSONField(req.body.tags) || []);
+      if (tagCheck.error) {
+        return res.status(400).json({ error: tagCheck.error });
+      }
+      tagList = tagCheck.tags;
+    }
+
     // Default image URL
     let imageUrl = 'https://res.cloudinary.com/dguseowoa/image/upload/v1762823979/amala_and_gbegiri_lkovb8.jpg';
     
@@ -231,37 +608,80 @@ export const createRecipe = async (req, res) => {
       }
     }
 
-    // Create recipe in database
-    const recipe = await Recipe.create({
-      name: name.trim(),
-      category,
-      cookingTime: parseInt(cookingTime),
-      prepTime: parseInt(prepTime),
-      rating: parseFloat(rating),
-      description: description.trim(),
-      ingredients,
-      instructions,
-      image: imageUrl,
-      userId
+    // Drafts are not reviewed until they are published
+    const moderationStatus = isDraft ? 'approved' : await submissionStatusFor(req.user);
+
+    // Create recipe in database, with its tags and first revision
+    const { recipe, tags } = await sequelize.transaction(async (transaction) => {
+      const created = await Recipe.create({
+        name: name.trim(),
+        category: categoryCheck.category.name,
+        categoryId: categoryCheck.category.id,
+        cookingTime: parseInt(cookingTime),
+        prepTime: parseInt(prepTime),
+        servings: parseServings(servings),
+        description: description.trim(),
+        ingredients: ingredientCheck.ingredients,
+        instructions,
+        contains: resolveContains(ingredientCheck.ingredients, allergenOverrides),
+        allergenOverrides,
+        image: imageUrl,
+        userId,
+        status,
+        publishedAt: isDraft ? null : new Date(),
+        moderationStatus
+      }, { transaction });
+
+      const tagInstances = await findOrCreateTags(tagList, transaction);
+      await created.setTags(tagInstances, { transaction });
+
+      await recordRevision(created, {
+        editorId: userId,
+        tags: tagInstances,
+        action: 'create',
+        transaction
+      });
+
+      return { recipe: created, tags: tagInstances.map(formatTag) };
+    });
+
+    await recordAudit(req, {
+      action: 'recipe.create',
+      targetType: 'recipe',
+      targetId: recipe.id,
+      after: { ...recipe.toJSON(), tags: tags.map(tag => tag.slug) }
     });
 
     console.log(`✅ Recipe created: ${recipe.name} (ID: ${recipe.id})`);
 
     res.status(201).json({
-      message: 'Recipe created successfully',
+      message: isDraft
+        ? 'Draft saved'
+        : recipe.moderationStatus === 'pending'
+          ? 'Recipe submitted for review'
+          : 'Recipe created successfully',
       recipe: {
         id: recipe.id,
         name: recipe.name,
         category: recipe.category,
+        categoryId: recipe.categoryId,
         cookingTime: recipe.cookingTime,
         prepTime: recipe.prepTime,
+        servings: recipe.servings,
         rating: recipe.rating,
+        ratingCount: recipe.ratingCount,
         description: recipe.description,
         image: recipe.image,
-        ingredients: recipe.ingredients,
+        ingredients: withIngredientText(toStructuredIngredients(recipe.ingredients)),
         instructions: recipe.instructions,
+        tags,
+        allergens: allergensOf(recipe.contains),
+        diets: dietsOf(recipe.contains),
         createdAt: recipe.createdAt,
-        userId: recipe.userId
+        userId: recipe.userId,
+        status: recipe.status,
+        publishedAt: recipe.publishedAt,
+        moderationStatus: recipe.moderationStatus
       }
     });
 
@@ -280,28 +700,19 @@ export const createRecipe = async (req, res) => {
 export const updateRecipe = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
 
-    // Find recipe
-    const recipe = await Recipe.findByPk(id);
+    // Loaded by the permission check (owner or recipe.edit.any)
+    const recipe = req.recipe || await Recipe.findByPk(id);
 
     if (!recipe) {
       return res.status(404).json({ error: 'Recipe not found' });
     }
 
-    // Check ownership
-    if (recipe.userId !== userId) {
-      return res.status(403).json({ 
-        error: 'Not authorized to update this recipe',
-        message: 'You can only update your own recipes'
-      });
-    }
-
     // Prepare updates
     const updates = {};
     const allowedFields = [
-      'name', 'category', 'cookingTime', 'prepTime', 
-      'rating', 'description', 'ingredients', 'instructions'
+      'name', 'cookingTime', 'prepTime', 
+      'servings', 'description', 'ingredients', 'instructions'
     ];
 
     // Process each field
@@ -314,14 +725,70 @@ export const updateRecipe = async (req, res) => {
             : req.body[field];
         } else if (field === 'cookingTime' || field === 'prepTime') {
           updates[field] = parseInt(req.body[field]);
-        } else if (field === 'rating') {
-          updates[field] = parseFloat(req.body[field]);
+        } else if (field === 'servings') {
+          updates[field] = parseServings(req.body[field]);
         } else {
           updates[field] = req.body[field];
         }
       }
     });
 
+    if (updates.servings === null) {
+      return res.status(400).json({ error: `Servings must be a whole number from 1 to ${MAX_SERVINGS}` });
+    }
+
+    const categoryInput = req.body.categoryId ?? req.body.category;
+    if (categoryInput !== undefined) {
+      const categoryCheck = await resolveCategoryInput(categoryInput);
+      if (categoryCheck.error) {
+        return res.status(400).json({ error: categoryCheck.error });
+      }
+      updates.category = categoryCheck.category.name;
+      updates.categoryId = categoryCheck.category.id;
+    }
+
+    // Drafts may be saved without ingredients or instructions
+    const isDraft = recipe.status === 'draft';
+
+    if (updates.ingredients !== undefined) {
+      const ingredientCheck = normalizeIngredients(updates.ingredients, { allowEmpty: isDraft });
+      if (ingredientCheck.error) {
+        return res.status(400).json({ error: ingredientCheck.error });
+      }
+      updates.ingredients = ingredientCheck.ingredients;
+    }
+
+    if (updates.instructions !== undefined
+      && (!Array.isArray(updates.instructions) || (!isDraft && updates.instructions.length === 0))) {
+      return res.status(400).json({ error: 'At least one instruction is required' });
+    }
+
+    if (req.body.allergenOverrides !== undefined) {
+      const overrideCheck = normalizeAllergenOverrides(parseJSONField(req.body.allergenOverrides));
+      if (overrideCheck.error) {
+        return res.status(400).json({ error: overrideCheck.error });
+      }
+      updates.allergenOverrides = overrideCheck.overrides;
+    }
+
+    // Replaces all tags of the recipe ([] removes them)
+    let tagList;
+    if (req.body.tags !== undefined) {
+      const tagCheck = normalizeTagList(parseJSONField(req.body.tags) || []);
+      if (tagCheck.error) {
+        return res.status(400).json({ error: tagCheck.error });
+      }
+      tagList = tagCheck.tags;
+    }
+
+    // Detected allergens follow the ingredients and overrides
+    if (updates.ingredients !== undefined || updates.allergenOverrides !== undefined) {
+      updates.contains = resolveContains(
+        updates.ingredients || toStructuredIngredients(recipe.ingredients),
+        updates.allergenOverrides || recipe.allergenOverrides
+      );
+    }
+
     // Handle image update
     if (req.file) {
       try {
@@ -334,31 +801,73 @@ export const updateRecipe = async (req, res) => {
       }
     }
 
-    if (Object.keys(updates).length === 0) {
+    if (Object.keys(updates).length === 0 && !tagList) {
       return res.status(400).json({ error: 'No fields to update' });
     }
 
-    // Update recipe
-    await recipe.update(updates);
+    // Edits by the author to a published recipe go through moderation again
+    if (recipe.userId === req.user.id && recipe.status === 'published') {
+      updates.moderationStatus = await submissionStatusFor(req.user);
+    }
+
+    const currentTags = (await recipe.getTags({ attributes: TAG_ATTRIBUTES, joinTableAttributes: [] })).map(formatTag);
+    const before = { ...recipe.toJSON(), tags: currentTags.map(tag => tag.slug) };
+
+    // Update recipe and tags together, and keep the previous version as a revision
+    const tags = await sequelize.transaction(async (transaction) => {
+      await ensureInitialRevision(recipe, currentTags, transaction);
+      await recipe.update(updates, { transaction });
 
-    console.log(`✅ Recipe ${id} updated`);
+      let newTags = currentTags;
+      if (tagList) {
+        const tagInstances = await findOrCreateTags(tagList, transaction);
+        await recipe.setTags(tagInstances, { transaction });
+        newTags = tagInstances.map(formatTag);
+      }
+
+      await recordRevision(recipe, { editorId: req.user.id, tags: newTags, transaction });
+      return newTags;
+    });
+
+    await recordAudit(req, {
+      action: 'recipe.update',
+      targetType: 'recipe',
+      targetId: recipe.id,
+      before,
+      after: { ...recipe.toJSON(), tags: tags.map(tag => tag.slug) },
+      metadata: recipe.userId !== req.user.id ? { ownerId: recipe.userId } : undefined
+    });
+
+    console.log(`✅ Recipe ${id} updated by user ${req.user.id}`);
 
     res.json({
-      message: 'Recipe updated successfully',
+      message: recipe.moderationStatus === 'pending'
+        ? 'Recipe updated and submitted for review'
+        : 'Recipe updated successfully',
       recipe: {
         id: recipe.id,
         name: recipe.name,
         category: recipe.category,
+        categoryId: recipe.categoryId,
         cookingTime: recipe.cookingTime,
         prepTime: recipe.prepTime,
+        servings: recipe.servings,
         rating: recipe.rating,
+        ratingCount: recipe.ratingCount,
         description: recipe.description,
         image: recipe.image,
-        ingredients: recipe.ingredients,
+        ingredients: withIngredientText(toStructuredIngredients(recipe.ingredients)),
         instructions: recipe.instructions,
+        tags,
+        allergens: allergensOf(recipe.contains),
+        diets: dietsOf(recipe.contains),
+        allergenOverrides: recipe.allergenOverrides,
         createdAt: recipe.createdAt,
         updatedAt: recipe.updatedAt,
-        userId: recipe.userId
+        userId: recipe.userId,
+        status: recipe.status,
+        publishedAt: recipe.publishedAt,
+        moderationStatus: recipe.moderationStatus
       }
     });
 
@@ -372,34 +881,39 @@ export const updateRecipe = async (req, res) => {
 };
 
 // ============================================
-// DELETE /api/recipes/:id - Delete recipe
+// DELETE /api/recipes/:id - Move recipe to the trash
 // ============================================
 export const deleteRecipe = async (req, res) => {
   try {
     const { id } = req.params;
-    const userId = req.user.id;
 
-    // Find recipe
-    const recipe = await Recipe.findByPk(id);
+    // Loaded by the permission check (owner or recipe.delete.any)
+    const recipe = req.recipe || await Recipe.findByPk(id);
 
     if (!recipe) {
       return res.status(404).json({ error: 'Recipe not found' });
     }
 
-    // Check ownership
-    if (recipe.userId !== userId) {
-      return res.status(403).json({ 
-        error: 'Not authorized to delete this recipe',
-        message: 'You can only delete your own recipes'
-      });
-    }
-
-    // Delete recipe (cascade will handle favorites)
+    // Soft delete: favorites, reviews and tags stay for a restore
+    recipe.deletedById = req.user.id;
     await recipe.destroy();
 
-    console.log(`✅ Recipe ${id} deleted`);
+    await recordAudit(req, {
+      action: 'recipe.delete',
+      targetType: 'recipe',
+      targetId: recipe.id,
+      before: recipe,
+      metadata: recipe.userId !== req.user.id ? { ownerId: recipe.userId } : undefined
+    });
+
+    console.log(`✅ Recipe ${id} moved to trash by user ${req.user.id}`);
 
-    res.json({ message: 'Recipe deleted successfully' });
+    const { retentionDays } = await getTrashPolicy();
+
+    res.json({
+      message: 'Recipe moved to trash',
+      purgeAt: purgeDate(recipe.deletedAt, retentionDays)
+    });
 
   } catch (error) {
     console.error('Delete recipe error:', error);
@@ -410,19 +924,455 @@ export const deleteRecipe = async (req, res) => {
   }
 };
 
+// Shared by publish, unpublish and archive
+// Publishing and unpublishing are the author's decision; editors and
+// moderators can only archive other people's recipes
+const STATUS_CHANGES = {
+  publish: { from: ['draft', 'archived'], to: 'published', ownerOnly: true, message: 'Recipe published' },
+  unpublish: { from: ['published', 'archived'], to: 'draft', ownerOnly: true, message: 'Recipe moved back to drafts' },
+  archive: { from: ['draft', 'published'], to: 'archived', ownerOnly: false, message: 'Recipe archived' }
+};
+
+const changeRecipeStatus = async (req, res, change) => {
+  const { from, to, ownerOnly, message } = STATUS_CHANGES[change];
+
+  // Loaded by the permission check (owner or recipe.edit.any)
+  const recipe = req.recipe || await Recipe.findByPk(req.params.id);
+
+  if (!recipe) {
+    return res.status(404).json({ error: 'Recipe not found' });
+  }
+
+  if (ownerOnly && recipe.userId !== req.user.id) {
+    return res.status(403).json({ error: `Only the author can ${change} this recipe` });
+  }
+
+  if (!from.includes(recipe.status)) {
+    return res.status(409).json({ error: `Recipe is already ${recipe.status}` });
+  }
+
+  const updates = { status: to };
+
+  if (to === 'published') {
+    // Drafts are saved half-finished, publishing needs the full recipe
+    const missing = missingForPublish(recipe);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Recipe is not complete enough to publish',
+        missing
+      });
+    }
+
+    // Moderation depends on the author, not on who made the change
+    const owner = recipe.userId === req.user.id ? req.user : await User.findByPk(recipe.userId);
+    updates.publishedAt = recipe.publishedAt || new Date();
+    updates.moderationStatus = await submissionStatusFor(owner);
+  }
+
+  const before = { status: recipe.status, moderationStatus: recipe.moderationStatus };
+  await recipe.update(updates);
+
+  await recordAudit(req, {
+    action: `recipe.${change}`,
+    targetType: 'recipe',
+    targetId: recipe.id,
+    before,
+    after: { status: recipe.status, moderationStatus: recipe.moderationStatus },
+    metadata: recipe.userId !== req.user.id ? { ownerId: recipe.userId } : undefined
+  });
+
+  console.log(`✅ Recipe ${recipe.id} set to ${recipe.status} by user ${req.user.id}`);
+
+  return res.json({
+    message: to === 'published' && recipe.moderationStatus === 'pending'
+      ? 'Recipe submitted for review'
+      : message,
+    recipe: {
+      id: recipe.id,
+      name: recipe.name,
+      status: recipe.status,
+      publishedAt: recipe.publishedAt,
+      moderationStatus: recipe.moderationStatus
+    }
+  });
+};
+
+// ============================================
+// POST /api/recipes/:id/publish - Publish a draft or archived recipe
+// ============================================
+export const publishRecipe = async (req, res) => {
+  try {
+    await changeRecipeStatus(req, res, 'publish');
+
+  } catch (error) {
+    console.error('Publish recipe error:', error);
+    res.status(500).json({ 
+      error: 'Failed to publish recipe',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/recipes/:id/unpublish - Move a recipe back to drafts
+// ============================================
+export const unpublishRecipe = async (req, res) => {
+  try {
+    await changeRecipeStatus(req, res, 'unpublish');
+
+  } catch (error) {
+    console.error('Unpublish recipe error:', error);
+    res.status(500).json({ 
+      error: 'Failed to unpublish recipe',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/recipes/:id/archive - Archive a recipe
+// ============================================
+export const archiveRecipe = async (req, res) => {
+  try {
+    await changeRecipeStatus(req, res, 'archive');
+
+  } catch (error) {
+    console.error('Archive recipe error:', error);
+    res.status(500).json({ 
+      error: 'Failed to archive recipe',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// GET /api/recipes/trash - Your deleted recipes
+// ============================================
+export const getTrash = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const { count, rows } = await Recipe.findAndCountAll({
+      where: { userId: req.user.id, deletedAt: { [Op.ne]: null } },
+      attributes: [
+        'id', 'name', 'category', 'categoryId', 'image', 'status',
+        'createdAt', 'deletedAt', 'deletedById', 'userId'
+      ],
+      paranoid: false,
+      order: [['deletedAt', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    const { retentionDays } = await getTrashPolicy();
+
+    res.json({
+      retentionDays,
+      recipes: rows.map(recipe => ({
+        id: recipe.id,
+        name: recipe.name,
+        category: recipe.category,
+        categoryId: recipe.categoryId,
+        image: recipe.image,
+        status: recipe.status,
+        createdAt: recipe.createdAt,
+        deletedAt: recipe.deletedAt,
+        purgeAt: purgeDate(recipe.deletedAt, retentionDays),
+        // Recipes removed by a moderator can only be restored by one
+        restorable: canRestoreRecipe(req.user, recipe)
+      })),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(count / pageSize),
+        totalRecipes: count,
+        limit: pageSize,
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch trash',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/recipes/:id/restore - Take a recipe out of the trash
+// ============================================
+export const restoreRecipe = async (req, res) => {
+  try {
+    const recipe = await Recipe.findByPk(req.params.id, { paranoid: false });
+
+    // Other people's trash is not visible
+    if (!recipe || (recipe.userId !== req.user.id && !canRestoreRecipe(req.user, recipe))) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    if (!recipe.deletedAt) {
+      return res.status(409).json({ error: 'Recipe is not in the trash' });
+    }
+
+    if (!canRestoreRecipe(req.user, recipe)) {
+      return res.status(403).json({ error: 'This recipe was removed by a moderator and cannot be restored' });
+    }
+
+    // The author's account may be in the trash too
+    const owner = await User.findByPk(recipe.userId, { attributes: ['id'] });
+    if (!owner) {
+      return res.status(409).json({ error: "The author's account was deleted, restore it first" });
+    }
+
+    // Favorites, reviews and tags come back with it
+    recipe.deletedById = null;
+    await recipe.restore();
+
+    await recordAudit(req, {
+      action: 'recipe.restore',
+      targetType: 'recipe',
+      targetId: recipe.id,
+      metadata: recipe.userId !== req.user.id ? { ownerId: recipe.userId } : undefined
+    });
+
+    console.log(`✅ Recipe ${recipe.id} restored by user ${req.user.id}`);
+
+    res.json({
+      message: 'Recipe restored',
+      recipe: {
+        id: recipe.id,
+        name: recipe.name,
+        status: recipe.status,
+        moderationStatus: recipe.moderationStatus,
+        userId: recipe.userId
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore recipe error:', error);
+    res.status(500).json({ 
+      error: 'Failed to restore recipe',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/recipes/:id/fork - Copy a recipe into your account as a draft
+// ============================================
+export const forkRecipe = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const source = await Recipe.findByPk(req.params.id, {
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName']
+      }]
+    });
+
+    // Only recipes you can open can be forked
+    if (!source || !canViewRecipe(req.user, source)) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    // Optional new name, defaults to the original's
+    let name = source.name;
+    if (req.body?.name !== undefined) {
+      if (typeof req.body.name !== 'string' || !req.body.name.trim()) {
+        return res.status(400).json({ error: 'Recipe name cannot be empty' });
+      }
+      name = req.body.name.trim();
+    }
+
+    const sourceTags = await source.getTags({ attributes: TAG_ATTRIBUTES, joinTableAttributes: [] });
+
+    // Copy content and tags; the fork starts as a private draft
+    const fork = await sequelize.transaction(async (transaction) => {
+      const created = await Recipe.create({
+        name,
+        category: source.category,
+        categoryId: source.categoryId,
+        cookingTime: source.cookingTime,
+        prepTime: source.prepTime,
+        servings: source.servings,
+        description: source.description,
+        image: source.image,
+        ingredients: source.ingredients,
+        instructions: source.instructions,
+        contains: source.contains,
+        allergenOverrides: source.allergenOverrides,
+        userId,
+        status: 'draft',
+        moderationStatus: 'approved',
+        forkedFromId: source.id,
+        forkLineage: buildForkLineage(source)
+      }, { transaction });
+
+      await created.setTags(sourceTags, { transaction });
+
+      await recordRevision(created, {
+        editorId: userId,
+        tags: sourceTags,
+        action: 'create',
+        transaction
+      });
+
+      return created;
+    });
+
+    await recordAudit(req, {
+      action: 'recipe.fork',
+      targetType: 'recipe',
+      targetId: fork.id,
+      after: fork,
+      metadata: { forkedFromId: source.id, originalOwnerId: source.userId }
+    });
+
+    console.log(`✅ Recipe ${source.id} forked by user ${userId} as ${fork.id}`);
+
+    const lineage = await resolveLineage(fork.forkLineage, req.user);
+
+    res.status(201).json({
+      message: 'Recipe forked and saved as a draft',
+      recipe: {
+        id: fork.id,
+        name: fork.name,
+        category: fork.category,
+        categoryId: fork.categoryId,
+        cookingTime: fork.cookingTime,
+        prepTime: fork.prepTime,
+        servings: fork.servings,
+        description: fork.description,
+        image: fork.image,
+        ingredients: withIngredientText(toStructuredIngredients(fork.ingredients)),
+        instructions: fork.instructions,
+        tags: sourceTags.map(formatTag),
+        allergens: allergensOf(fork.contains),
+        diets: dietsOf(fork.contains),
+        createdAt: fork.createdAt,
+        userId: fork.userId,
+        status: fork.status,
+        forkedFromId: fork.forkedFromId,
+        forkedFrom: lineage[0] || null,
+        lineage
+      }
+    });
+
+  } catch (error) {
+    console.error('Fork recipe error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fork recipe',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// GET /api/recipes/:id/forks - Forks of a recipe
+// ============================================
+export const getRecipeForks = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const recipe = await Recipe.findByPk(req.params.id, {
+      attributes: ['id', 'userId', 'status', 'moderationStatus']
+    });
+
+    if (!recipe || !canViewRecipe(req.user, recipe)) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    // Public forks of visible authors, plus your own forks in any status
+    const visible = { ...PUBLIC_RECIPE_WHERE, [Op.and]: [visibleAuthorCondition()] };
+    const where = {
+      forkedFromId: recipe.id,
+      [Op.or]: req.user ? [visible, { userId: req.user.id }] : [visible]
+    };
+
+    const { count, rows } = await Recipe.findAndCountAll({
+      where,
+      attributes: [
+        'id', 'name', 'category', 'categoryId', 'cookingTime', 'prepTime', 'servings',
+        'rating', 'ratingCount', 'image', 'userId', 'status', 'createdAt'
+      ],
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName']
+      }],
+      order: [['createdAt', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize,
+      distinct: true
+    });
+
+    res.json({
+      forks: rows.map(fork => {
+        const { user, ...forkData } = fork.toJSON();
+        return {
+          ...forkData,
+          authorName: user ? `${user.firstName} ${user.lastName}` : 'Unknown'
+        };
+      }),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(count / pageSize),
+        totalForks: count,
+        limit: pageSize,
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recipe forks error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch forks',
+      details: error.message 
+    });
+  }
+};
+
 // ============================================
 // GET /api/recipes/user/:userId - Get user's recipes
 // ============================================
 export const getUserRecipes = async (req, res) => {
   try {
     const { userId } = req.params;
+    const isOwner = Boolean(req.user) && req.user.id === parseInt(userId);
+
+    // Authors see all their recipes (?status=draft|published|archived),
+    // everyone else only published ones
+    const where = { userId };
+    if (isOwner) {
+      if (req.query.status !== undefined) {
+        if (!RECIPE_STATUSES.includes(req.query.status)) {
+          return res.status(400).json({ error: `status must be one of: ${RECIPE_STATUSES.join(', ')}` });
+        }
+        where.status = req.query.status;
+      }
+    } else {
+      where.status = 'published';
+    }
+
+    // Authors and moderators also see recipes waiting for review
+    if (!canViewUnapproved(req.user, { userId: parseInt(userId) })) {
+      where.moderationStatus = 'approved';
+    }
 
     const recipes = await Recipe.findAll({
-      where: { userId },
+      where,
       order: [['createdAt', 'DESC']],
       attributes: [
-        'id', 'name', 'category', 'cookingTime', 
-        'prepTime', 'rating', 'description', 'image', 'createdAt'
+        'id', 'name', 'category', 'categoryId', 'cookingTime', 
+        'prepTime', 'servings', 'rating', 'ratingCount', 'description', 'image', 'createdAt',
+        'status', 'publishedAt', 'moderationStatus'
       ]
     });
 
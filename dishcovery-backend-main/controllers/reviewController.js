@@ -0,0 +1,291 @@
+// controllers/reviewController.js
+// ✅ Ratings & reviews (one per user per recipe)
+
+import sequelize, { Recipe, Review, User } from "../models/index.js";
+import { uploadToCloudinary } from "../config/cloudinary.js";
+import { recordAudit } from "../utils/audit.js";
+import { refreshRecipeRating } from "../utils/ratings.js";
+import { canViewRecipe, isPublicRecipe } from "../utils/recipeStatus.js";
+
+const MAX_COMMENT_LENGTH = 2000;
+
+const REVIEW_SORTS = {
+  newest: [['createdAt', 'DESC']],
+  oldest: [['createdAt', 'ASC']],
+  highest: [['rating', 'DESC'], ['createdAt', 'DESC']],
+  lowest: [['rating', 'ASC'], ['createdAt', 'DESC']]
+};
+
+// ============================================
+// Helper: Validate rating/comment from the body
+// ============================================
+const parseReviewInput = (body, { partial = false } = {}) => {
+  const input = {};
+
+  if (body.rating !== undefined || !partial) {
+    const rating = Number(body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return { error: 'Rating must be a whole number from 1 to 5' };
+    }
+    input.rating = rating;
+  }
+
+  if (body.comment !== undefined) {
+    const comment = body.comment === null ? '' : String(body.comment).trim();
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      return { error: `Comment cannot be longer than ${MAX_COMMENT_LENGTH} characters` };
+    }
+    input.comment = comment || null;
+  }
+
+  return { input };
+};
+
+const formatReview = (review) => {
+  const reviewData = review.toJSON();
+  return {
+    id: reviewData.id,
+    recipeId: reviewData.recipeId,
+    userId: reviewData.userId,
+    rating: reviewData.rating,
+    comment: reviewData.comment,
+    image: reviewData.image,
+    createdAt: reviewData.createdAt,
+    updatedAt: reviewData.updatedAt,
+    authorName: reviewData.user
+      ? `${reviewData.user.firstName} ${reviewData.user.lastName}`
+      : undefined
+  };
+};
+
+// Review in :reviewId, only if it belongs to the recipe in :recipeId
+const findRecipeReview = (req) => {
+  return req.review || Review.findOne({
+    where: { id: req.params.reviewId, recipeId: req.params.recipeId }
+  });
+};
+
+// ============================================
+// GET /api/recipes/:recipeId/reviews - List reviews
+// ============================================
+export const getRecipeReviews = async (req, res) => {
+  try {
+    const { sort = 'newest', page = 1, limit = 20 } = req.query;
+
+    const recipe = await Recipe.findByPk(req.params.recipeId, {
+      attributes: ['id', 'userId', 'status', 'moderationStatus', 'rating', 'ratingCount', 'ratingDistribution']
+    });
+
+    if (!recipe || !canViewRecipe(req.user, recipe)) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const { count, rows } = await Review.findAndCountAll({
+      where: { recipeId: recipe.id },
+      include: [{
+        model: User,
+        as: 'user',
+        attributes: ['id', 'firstName', 'lastName']
+      }],
+      order: REVIEW_SORTS[sort] || REVIEW_SORTS.newest,
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      summary: {
+        rating: recipe.rating,
+        ratingCount: recipe.ratingCount,
+        ratingDistribution: recipe.ratingDistribution
+      },
+      reviews: rows.map(formatReview),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(count / pageSize),
+        totalReviews: count,
+        limit: pageSize,
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch reviews',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/recipes/:recipeId/reviews - Rate & review a recipe
+// ============================================
+export const createReview = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const recipe = await Recipe.findByPk(req.params.recipeId);
+
+    // Only published, approved recipes can be reviewed
+    if (!recipe || !isPublicRecipe(recipe)) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    if (recipe.userId === userId) {
+      return res.status(403).json({ error: 'You cannot review your own recipe' });
+    }
+
+    const { input, error } = parseReviewInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const existing = await Review.findOne({ where: { userId, recipeId: recipe.id } });
+    if (existing) {
+      return res.status(409).json({ 
+        error: 'You already reviewed this recipe',
+        message: `Edit it with PUT /api/recipes/${recipe.id}/reviews/${existing.id}`,
+        reviewId: existing.id
+      });
+    }
+
+    // Upload photo to Cloudinary if provided
+    if (req.file) {
+      input.image = await uploadToCloudinary(req.file.buffer, 'review-images');
+    }
+
+    const { review, summary } = await sequelize.transaction(async (transaction) => {
+      const review = await Review.create({ ...input, userId, recipeId: recipe.id }, { transaction });
+      const summary = await refreshRecipeRating(recipe.id, transaction);
+      return { review, summary };
+    });
+
+    await recordAudit(req, {
+      action: 'review.create',
+      targetType: 'review',
+      targetId: review.id,
+      after: review,
+      metadata: { recipeId: recipe.id }
+    });
+
+    console.log(`✅ User ${userId} reviewed recipe ${recipe.id} (${review.rating}★)`);
+
+    res.status(201).json({
+      message: 'Review added successfully',
+      review: formatReview(review),
+      recipeRating: summary
+    });
+
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({ 
+      error: 'Failed to add review',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// PUT /api/recipes/:recipeId/reviews/:reviewId - Edit a review
+// ============================================
+export const updateReview = async (req, res) => {
+  try {
+    // Loaded by the permission check (author of the review)
+    const review = await findRecipeReview(req);
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const { input, error } = parseReviewInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (req.file) {
+      input.image = await uploadToCloudinary(req.file.buffer, 'review-images');
+    } else if (req.body.removeImage === true || req.body.removeImage === 'true') {
+      input.image = null;
+    }
+
+    if (Object.keys(input).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const before = review.toJSON();
+    const summary = await sequelize.transaction(async (transaction) => {
+      await review.update(input, { transaction });
+      return refreshRecipeRating(review.recipeId, transaction);
+    });
+
+    await recordAudit(req, {
+      action: 'review.update',
+      targetType: 'review',
+      targetId: review.id,
+      before,
+      after: review,
+      metadata: { recipeId: review.recipeId }
+    });
+
+    console.log(`✅ Review ${review.id} updated by user ${req.user.id}`);
+
+    res.json({
+      message: 'Review updated successfully',
+      review: formatReview(review),
+      recipeRating: summary
+    });
+
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update review',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// DELETE /api/recipes/:recipeId/reviews/:reviewId - Delete a review
+// ============================================
+export const deleteReview = async (req, res) => {
+  try {
+    // Loaded by the permission check (author or review.delete.any)
+    const review = await findRecipeReview(req);
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    const summary = await sequelize.transaction(async (transaction) => {
+      // force: a deleted review is gone for good (only deleted accounts hide reviews)
+      await review.destroy({ force: true, transaction });
+      return refreshRecipeRating(review.recipeId, transaction);
+    });
+
+    await recordAudit(req, {
+      action: 'review.delete',
+      targetType: 'review',
+      targetId: review.id,
+      before: review,
+      metadata: review.userId !== req.user.id
+        ? { recipeId: review.recipeId, ownerId: review.userId }
+        : { recipeId: review.recipeId }
+    });
+
+    console.log(`✅ Review ${review.id} deleted by user ${req.user.id}`);
+
+    res.json({
+      message: 'Review deleted successfully',
+      recipeRating: summary
+    });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete review',
+      details: error.message 
+    });
+  }
+};
@@ -0,0 +1,288 @@
+// controllers/revisionController.js
+// ✅ Recipe revision history: list, view, diff and revert
+
+import sequelize, { Recipe, RecipeRevision, User, Category } from "../models/index.js";
+import { recordAudit } from "../utils/audit.js";
+import { submissionStatusFor } from "../utils/moderation.js";
+import { normalizeIngredients, toStructuredIngredients, withIngredientText } from "../utils/ingredients.js";
+import { missingForPublish } from "../utils/recipeStatus.js";
+import { resolveContains, EMPTY_OVERRIDES } from "../utils/allergens.js";
+import { findOrCreateTags, formatTag, TAG_ATTRIBUTES } from "../utils/tags.js";
+import { SNAPSHOT_FIELDS, diffSnapshots, ensureInitialRevision, recordRevision } from "../utils/recipeRevisions.js";
+
+const EDITOR_ATTRIBUTES = ['id', 'firstName', 'lastName'];
+
+const formatRevision = (revision, { withSnapshot = false } = {}) => {
+  const data = revision.toJSON();
+  return {
+    id: data.id,
+    recipeId: data.recipeId,
+    revisionNumber: data.revisionNumber,
+    action: data.action,
+    revertedFrom: data.revertedFrom,
+    changedFields: data.changedFields,
+    editorId: data.editorId,
+    editorName: data.editor ? `${data.editor.firstName} ${data.editor.lastName}` : null,
+    createdAt: data.createdAt,
+    ...(withSnapshot ? { snapshot: data.snapshot } : {})
+  };
+};
+
+// Revision :revisionNumber of the recipe in :recipeId
+const findRevision = (recipeId, revisionNumber, options = {}) => {
+  const number = parseInt(revisionNumber);
+  if (!Number.isInteger(number) || number < 1) return null;
+
+  return RecipeRevision.findOne({
+    where: { recipeId, revisionNumber: number },
+    include: [{ model: User, as: 'editor', attributes: EDITOR_ATTRIBUTES }],
+    ...options
+  });
+};
+
+// Loaded by the permission check (owner or recipe.edit.any)
+const findRecipe = (req) => req.recipe || Recipe.findByPk(req.params.recipeId);
+
+// ============================================
+// GET /api/recipes/:recipeId/revisions - List revisions
+// ============================================
+export const listRevisions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const recipe = await findRecipe(req);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    // Newest first, without the snapshots
+    const { count, rows } = await RecipeRevision.findAndCountAll({
+      where: { recipeId: recipe.id },
+      attributes: { exclude: ['snapshot'] },
+      include: [{ model: User, as: 'editor', attributes: EDITOR_ATTRIBUTES }],
+      order: [['revisionNumber', 'DESC']],
+      limit: pageSize,
+      offset: (pageNumber - 1) * pageSize
+    });
+
+    res.json({
+      revisions: rows.map(revision => formatRevision(revision)),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(count / pageSize),
+        totalRevisions: count,
+        limit: pageSize,
+      }
+    });
+
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch revisions',
+      details: error.message
+    });
+  }
+};
+
+// ============================================
+// GET /api/recipes/:recipeId/revisions/diff - Compare two revisions
+// ============================================
+export const diffRevisions = async (req, res) => {
+  try {
+    const recipe = await findRecipe(req);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    // Default: the latest revision against the one before it
+    let toNumber = req.query.to;
+    if (toNumber === undefined) {
+      const latest = await RecipeRevision.max('revisionNumber', { where: { recipeId: recipe.id } });
+      if (!latest) {
+        return res.status(404).json({ error: 'This recipe has no revisions yet' });
+      }
+      toNumber = latest;
+    }
+    const fromNumber = req.query.from !== undefined ? req.query.from : parseInt(toNumber) - 1;
+
+    const [from, to] = await Promise.all([
+      findRevision(recipe.id, fromNumber),
+      findRevision(recipe.id, toNumber)
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      from: formatRevision(from),
+      to: formatRevision(to),
+      changes: diffSnapshots(from.snapshot, to.snapshot)
+    });
+
+  } catch (error) {
+    console.error('Diff revisions error:', error);
+    res.status(500).json({
+      error: 'Failed to compare revisions',
+      details: error.message
+    });
+  }
+};
+
+// ============================================
+// GET /api/recipes/:recipeId/revisions/:revisionNumber - One revision
+// ============================================
+export const getRevision = async (req, res) => {
+  try {
+    const recipe = await findRecipe(req);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const revision = await findRevision(recipe.id, req.params.revisionNumber);
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json(formatRevision(revision, { withSnapshot: true }));
+
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch revision',
+      details: error.message
+    });
+  }
+};
+
+// ============================================
+// POST /api/recipes/:recipeId/revisions/:revisionNumber/revert - Restore a revision
+// ============================================
+export const revertRevision = async (req, res) => {
+  try {
+    const recipe = await findRecipe(req);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+
+    const target = await findRevision(recipe.id, req.params.revisionNumber);
+    if (!target) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const { snapshot } = target;
+    const updates = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+      if (snapshot[field] !== undefined) updates[field] = snapshot[field];
+    });
+
+    // Revisions saved as a draft may be incomplete: a published recipe has to stay publishable
+    if (recipe.status === 'published') {
+      const missing = missingForPublish({ ...recipe.toJSON(), ...updates });
+      if (missing.length > 0) {
+        return res.status(400).json({
+          error: 'This revision is not complete enough for a published recipe',
+          missing
+        });
+      }
+    }
+
+    // Same checks as an update (older revisions may hold legacy ingredient strings)
+    if (updates.ingredients !== undefined) {
+      const ingredientCheck = normalizeIngredients(updates.ingredients, { allowEmpty: recipe.status === 'draft' });
+      if (ingredientCheck.error) {
+        return res.status(400).json({ error: ingredientCheck.error });
+      }
+      updates.ingredients = ingredientCheck.ingredients;
+    }
+
+    // The category may have been deleted since: keep the name only
+    if (updates.categoryId && !(await Category.findByPk(updates.categoryId))) {
+      updates.categoryId = null;
+    }
+
+    // Detected allergens are recomputed with today's rules
+    updates.contains = resolveContains(
+      updates.ingredients || toStructuredIngredients(recipe.ingredients),
+      updates.allergenOverrides || EMPTY_OVERRIDES
+    );
+
+    // Reverts by the author to a published recipe go through moderation again
+    if (recipe.userId === req.user.id && recipe.status === 'published') {
+      updates.moderationStatus = await submissionStatusFor(req.user);
+    }
+
+    const currentTags = (await recipe.getTags({ attributes: TAG_ATTRIBUTES, joinTableAttributes: [] })).map(formatTag);
+    const before = { ...recipe.toJSON(), tags: currentTags.map(tag => tag.slug) };
+
+    // Restore content and tags, recorded as a new revision
+    const { tags, revision } = await sequelize.transaction(async (transaction) => {
+      await ensureInitialRevision(recipe, currentTags, transaction);
+      await recipe.update(updates, { transaction });
+
+      const tagInstances = await findOrCreateTags(snapshot.tags || [], transaction);
+      await recipe.setTags(tagInstances, { transaction });
+
+      const created = await recordRevision(recipe, {
+        editorId: req.user.id,
+        tags: tagInstances,
+        action: 'revert',
+        revertedFrom: target.revisionNumber,
+        transaction
+      });
+
+      return { tags: tagInstances.map(formatTag), revision: created };
+    });
+
+    await recordAudit(req, {
+      action: 'recipe.revert',
+      targetType: 'recipe',
+      targetId: recipe.id,
+      before,
+      after: { ...recipe.toJSON(), tags: tags.map(tag => tag.slug) },
+      metadata: {
+        revertedFrom: target.revisionNumber,
+        revisionNumber: revision.revisionNumber,
+        ...(recipe.userId !== req.user.id ? { ownerId: recipe.userId } : {})
+      }
+    });
+
+    console.log(`✅ Recipe ${recipe.id} reverted to revision ${target.revisionNumber} by user ${req.user.id}`);
+
+    res.json({
+      message: recipe.moderationStatus === 'pending'
+        ? `Recipe reverted to revision ${target.revisionNumber} and submitted for review`
+        : `Recipe reverted to revision ${target.revisionNumber}`,
+      revision: formatRevision(revision),
+      recipe: {
+        id: recipe.id,
+        name: recipe.name,
+        category: recipe.category,
+        categoryId: recipe.categoryId,
+        cookingTime: recipe.cookingTime,
+        prepTime: recipe.prepTime,
+        servings: recipe.servings,
+        description: recipe.description,
+        image: recipe.image,
+        ingredients: withIngredientText(toStructuredIngredients(recipe.ingredients)),
+        instructions: recipe.instructions,
+        tags,
+        allergenOverrides: recipe.allergenOverrides,
+        updatedAt: recipe.updatedAt,
+        userId: recipe.userId,
+        status: recipe.status,
+        moderationStatus: recipe.moderationStatus
+      }
+    });
+
+  } catch (error) {
+    console.error('Revert revision error:', error);
+    res.status(500).json({
+      error: 'Failed to revert recipe',
+      details: error.message
+    });
+  }
+};
@@ -0,0 +1,182 @@
+// controllers/tagController.js
+// ✅ Recipe tags: public list, admin rename and merge
+
+import sequelize, { Tag, RecipeTag } from "../models/index.js";
+import { TAG_TYPES } from "../models/Tag.js";
+import { recordAudit } from "../utils/audit.js";
+import { TAG_ATTRIBUTES } from "../utils/tags.js";
+import { slugify } from "../utils/slugify.js";
+
+// Published, approved recipes using the tag (not in the trash)
+const RECIPE_COUNT = sequelize.literal(`(
+  SELECT COUNT(*)::int FROM "RecipeTags" rt
+  JOIN "Recipes" r ON r.id = rt."recipeId"
+  WHERE rt."tagId" = "Tag"."id" AND r."status" = 'published' AND r."moderationStatus" = 'approved'
+    AND r."deletedAt" IS NULL
+)`);
+
+// ============================================
+// GET /api/tags - All tags with recipe counts
+// ============================================
+export const listTags = async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    const where = {};
+    if (type) {
+      if (!TAG_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${TAG_TYPES.join(', ')}` });
+      }
+      where.type = type;
+    }
+
+    // Most used first
+    const tags = await Tag.findAll({
+      where,
+      attributes: [...TAG_ATTRIBUTES, [RECIPE_COUNT, 'recipeCount']],
+      order: [[sequelize.literal('"recipeCount"'), 'DESC'], ['name', 'ASC']]
+    });
+
+    res.json({ tags, types: TAG_TYPES });
+
+  } catch (error) {
+    console.error('List tags error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch tags',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// PUT /api/admin/tags/:id - Rename a tag or change its type
+// ============================================
+export const updateTag = async (req, res) => {
+  try {
+    const { name, type } = req.body;
+
+    const tag = await Tag.findByPk(req.params.id);
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const updates = {};
+
+    if (name !== undefined) {
+      const cleanName = String(name).trim().replace(/\s+/g, ' ');
+      const slug = slugify(cleanName);
+      if (!cleanName || !slug || cleanName.length > 50) {
+        return res.status(400).json({ error: 'Tag name must be 1-50 characters with at least one letter or digit' });
+      }
+
+      // Renaming onto another tag's slug would need a merge instead
+      const existing = await Tag.findOne({ where: { slug } });
+      if (existing && existing.id !== tag.id) {
+        return res.status(409).json({ 
+          error: `Tag "${existing.name}" already exists`,
+          message: `Merge into it with POST /api/admin/tags/${tag.id}/merge { "intoTagId": ${existing.id} }`,
+          existingTagId: existing.id
+        });
+      }
+
+      updates.name = cleanName;
+      updates.slug = slug;
+    }
+
+    if (type !== undefined) {
+      if (type !== null && !TAG_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${TAG_TYPES.join(', ')} (or null)` });
+      }
+      updates.type = type;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update (name or type)' });
+    }
+
+    const before = tag.toJSON();
+    await tag.update(updates);
+
+    await recordAudit(req, {
+      action: 'tag.update',
+      targetType: 'tag',
+      targetId: tag.id,
+      before,
+      after: tag
+    });
+
+    console.log(`✅ Tag ${tag.id} updated by user ${req.user.id}`);
+
+    res.json({ message: 'Tag updated', tag });
+
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({ 
+      error: 'Failed to update tag',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/admin/tags/:id/merge - Merge a tag into another one
+// ============================================
+export const mergeTag = async (req, res) => {
+  try {
+    const intoTagId = parseInt(req.body.intoTagId);
+
+    if (!intoTagId) {
+      return res.status(400).json({ error: 'intoTagId is required' });
+    }
+
+    if (intoTagId === parseInt(req.params.id)) {
+      return res.status(400).json({ error: 'A tag cannot be merged into itself' });
+    }
+
+    const [source, target] = await Promise.all([
+      Tag.findByPk(req.params.id),
+      Tag.findByPk(intoTagId)
+    ]);
+
+    if (!source || !target) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    // Recipes tagged with both keep a single link to the target
+    const moved = await sequelize.transaction(async (transaction) => {
+      const links = await RecipeTag.findAll({ where: { tagId: source.id }, transaction });
+
+      await RecipeTag.bulkCreate(
+        links.map(link => ({ recipeId: link.recipeId, tagId: target.id })),
+        { ignoreDuplicates: true, transaction }
+      );
+      await RecipeTag.destroy({ where: { tagId: source.id }, transaction });
+      await source.destroy({ transaction });
+
+      return links.length;
+    });
+
+    await recordAudit(req, {
+      action: 'tag.merge',
+      targetType: 'tag',
+      targetId: target.id,
+      before: source,
+      metadata: { mergedTagId: source.id, mergedTagSlug: source.slug, recipes: moved }
+    });
+
+    console.log(`✅ Tag "${source.slug}" merged into "${target.slug}" (${moved} recipes)`);
+
+    res.json({ 
+      message: `Tag "${source.name}" merged into "${target.name}"`,
+      tag: target,
+      recipesRetagged: moved
+    });
+
+  } catch (error) {
+    console.error('Merge tag error:', error);
+    res.status(500).json({ 
+      error: 'Failed to merge tags',
+      details: error.message 
+    });
+  }
+};
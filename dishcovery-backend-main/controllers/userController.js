@@ -2,8 +2,26 @@
 // ✅ Fixed with correct import paths
 
 import bcrypt from "bcryptjs";
-import { User, Recipe, Favorite } from "../models/index.js";
+import { Op } from "sequelize";
+import { User, Recipe, Favorite, Review, Session, PersonalAccessToken } from "../models/index.js";
 import { uploadToCloudinary } from "../config/cloudinary.js";
+import { sendVerificationEmail } from "../utils/emailVerification.js";
+import { generateSecret, verifyTotp, buildOtpauthUri, encryptSecret, decryptSecret } from "../utils/totp.js";
+import { generateRecoveryCodes, verifySecondFactor, isTwoFactorRequired } from "../utils/twoFactor.js";
+import { revokeSession, revokeOtherSessions } from "../utils/sessions.js";
+import { generatePersonalAccessToken } from "../utils/accessTokens.js";
+import { TOKEN_SCOPES, isValidScope } from "../config/tokenScopes.js";
+import { permissionsForRole } from "../config/permissions.js";
+import { UNIT_SYSTEMS } from "../config/units.js";
+import { DIETS } from "../config/allergens.js";
+import { parseAllergenList } from "../utils/allergens.js";
+import { recordAudit } from "../utils/audit.js";
+import { PUBLIC_RECIPE_WHERE } from "../utils/recipeStatus.js";
+import { trashUserAccount, getTrashPolicy, purgeDate } from "../utils/trash.js";
+
+const MAX_ACCESS_TOKENS = 20;
+const DEFAULT_TOKEN_TTL_DAYS = 90;
+const MAX_TOKEN_TTL_DAYS = 365;
 
 // ============================================
 // GET /api/users/me - Get current user profile
@@ -14,7 +32,7 @@ export const getCurrentUser = async (req, res) => {
 
     // Find user
     const user = await User.findByPk(userId, {
-      attributes: ['id', 'firstName', 'lastName', 'email', 'createdAt', 'updatedAt']
+      attributes: ['id', 'firstName', 'lastName', 'email', 'role', 'emailVerified', 'preferredUnits', 'excludedAllergens', 'diet', 'createdAt', 'updatedAt']
     });
 
     if (!user) {
@@ -26,8 +44,21 @@ export const getCurrentUser = async (req, res) => {
       where: { userId } 
     });
 
-    // Get user's favorite count
+    // Get user's favorite count (same recipes as GET /api/favorites: trashed,
+    // unpublished and archived recipes of other people are left out)
     const favorites = await Favorite.count({ 
+      where: { userId },
+      include: [{
+        model: Recipe,
+        as: 'recipe',
+        attributes: [],
+        required: true,
+        where: { [Op.or]: [PUBLIC_RECIPE_WHERE, { userId }] }
+      }]
+    });
+
+    // Get user's review count
+    const reviews = await Review.count({ 
       where: { userId } 
     });
 
@@ -37,12 +68,18 @@ export const getCurrentUser = async (req, res) => {
       firstName: user.firstName,
       lastName: user.lastName,
       email: user.email,
+      role: user.role,
+      permissions: permissionsForRole(user.role),
+      emailVerified: user.emailVerified,
+      preferredUnits: user.preferredUnits,
+      excludedAllergens: user.excludedAllergens,
+      diet: user.diet,
       createdAt: user.createdAt,
       updatedAt: user.updatedAt,
       stats: {
         recipesCreated,
         favorites,
-        reviews: 0, // Add when review system is implemented
+        reviews,
       }
     });
 
@@ -61,15 +98,32 @@ export const getCurrentUser = async (req, res) => {
 export const updateProfile = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { firstName, lastName, email } = req.body;
+    const { firstName, lastName, email, preferredUnits, excludedAllergens, diet } = req.body;
 
-    // Validate at least one field is provided
-    if (!firstName && !lastName && !email) {
+    // Validate at least one field is provided ([] and null clear the restrictions)
+    if (!firstName && !lastName && !email && !preferredUnits && excludedAllergens === undefined && diet === undefined) {
       return res.status(400).json({ 
-        error: 'At least one field (firstName, lastName, or email) is required' 
+        error: 'At least one field (firstName, lastName, email, preferredUnits, excludedAllergens or diet) is required' 
       });
     }
 
+    if (preferredUnits && !UNIT_SYSTEMS.includes(preferredUnits)) {
+      return res.status(400).json({ error: `preferredUnits must be one of: ${UNIT_SYSTEMS.join(', ')}` });
+    }
+
+    let allergens;
+    if (excludedAllergens !== undefined) {
+      const allergenCheck = parseAllergenList(excludedAllergens || []);
+      if (allergenCheck.error) {
+        return res.status(400).json({ error: allergenCheck.error });
+      }
+      allergens = allergenCheck.allergens;
+    }
+
+    if (diet && (typeof diet !== 'string' || !Object.hasOwn(DIETS, diet))) {
+      return res.status(400).json({ error: `diet must be one of: ${Object.keys(DIETS).join(', ')}` });
+    }
+
     // Find user
     const user = await User.findByPk(userId);
 
@@ -88,6 +142,18 @@ export const updateProfile = async (req, res) => {
       updates.lastName = lastName.trim();
     }
 
+    if (preferredUnits) {
+      updates.preferredUnits = preferredUnits;
+    }
+
+    if (allergens) {
+      updates.excludedAllergens = allergens;
+    }
+
+    if (diet !== undefined) {
+      updates.diet = diet || null;
+    }
+
     if (email) {
       // Validate email format
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -96,10 +162,12 @@ export const updateProfile = async (req, res) => {
       }
 
       // Check if email is already taken by another user
+      // (paranoid: false - accounts in the trash keep their address)
       const existingUser = await User.findOne({
         where: { 
           email: email.toLowerCase().trim() 
-        }
+        },
+        paranoid: false
       });
 
       if (existingUser && existingUser.id !== userId) {
@@ -109,9 +177,47 @@ export const updateProfile = async (req, res) => {
       updates.email = email.toLowerCase().trim();
     }
 
+    // A new address has to be verified again
+    const emailChanged = updates.email && updates.email !== user.email;
+    if (emailChanged) {
+      updates.emailVerified = false;
+      updates.emailVerifiedAt = null;
+    }
+
     // Update user
+    const before = {
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      preferredUnits: user.preferredUnits,
+      excludedAllergens: user.excludedAllergens,
+      diet: user.diet
+    };
     await user.update(updates);
 
+    await recordAudit(req, {
+      action: 'user.profile_update',
+      targetType: 'user',
+      targetId: user.id,
+      before,
+      after: {
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        preferredUnits: user.preferredUnits,
+        excludedAllergens: user.excludedAllergens,
+        diet: user.diet
+      }
+    });
+
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error('Verification email failed:', mailError);
+      }
+    }
+
     console.log(`✅ User ${userId} profile updated`);
 
     res.json({
@@ -121,6 +227,10 @@ export const updateProfile = async (req, res) => {
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
+        emailVerified: user.emailVerified,
+        preferredUnits: user.preferredUnits,
+        excludedAllergens: user.excludedAllergens,
+        diet: user.diet,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
       }
@@ -169,16 +279,24 @@ export const changePassword = async (req, res) => {
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
-    // Hash new password
-    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    // Update password (hashed by the User.beforeUpdate hook)
+    await user.update({ password: newPassword });
+
+    // Sign out every other device, keep the one making the change
+    const revokedSessions = await revokeOtherSessions(userId, req.sessionId, 'password_changed');
 
-    // Update password
-    await user.update({ password: hashedPassword });
+    await recordAudit(req, {
+      action: 'user.password_change',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { revokedSessions }
+    });
 
     console.log(`✅ User ${userId} password changed successfully`);
 
     res.json({ 
-      message: 'Password changed successfully' 
+      message: 'Password changed successfully',
+      revokedSessions
     });
 
   } catch (error) {
@@ -207,6 +325,13 @@ export const updateAvatar = async (req, res) => {
     // Note: If you add a profileImage column to User model, update it here
     // await user.update({ profileImage: imageUrl });
 
+    await recordAudit(req, {
+      action: 'user.avatar_update',
+      targetType: 'user',
+      targetId: userId,
+      metadata: { imageUrl }
+    });
+
     console.log(`✅ User ${userId} avatar updated`);
 
     res.json({ 
@@ -248,18 +373,24 @@ export const deleteAccount = async (req, res) => {
       return res.status(401).json({ error: 'Incorrect password' });
     }
 
-    // Delete user's recipes
-    await Recipe.destroy({ where: { userId } });
+    // Account, recipes and reviews go to the trash together
+    await trashUserAccount(user, userId);
 
-    // Delete user's favorites
-    await Favorite.destroy({ where: { userId } });
+    await recordAudit(req, {
+      action: 'user.account_delete',
+      targetType: 'user',
+      targetId: userId,
+      before: { firstName: user.firstName, lastName: user.lastName, email: user.email, role: user.role }
+    });
 
-    // Delete user account
-    await user.destroy();
+    console.log(`✅ User ${userId} account moved to trash`);
 
-    console.log(`✅ User ${userId} account deleted`);
+    const { retentionDays } = await getTrashPolicy();
 
-    res.json({ message: 'Account deleted successfully' });
+    res.json({
+      message: 'Account deleted successfully',
+      purgeAt: purgeDate(user.deletedAt, retentionDays)
+    });
 
   } catch (error) {
     console.error('Delete account error:', error);
@@ -270,6 +401,461 @@ export const deleteAccount = async (req, res) => {
   }
 };
 
+// ============================================
+// GET /api/users/me/sessions - Active sessions/devices
+// ============================================
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findAll({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      attributes: ['id', 'deviceName', 'userAgent', 'ipAddress', 'createdAt', 'lastSeenAt'],
+      order: [['lastSeenAt', 'DESC']]
+    });
+
+    res.json(sessions.map(session => ({
+      id: session.id,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: session.id === req.sessionId
+    })));
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch sessions',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// DELETE /api/users/me/sessions/:id - Sign out one device
+// ============================================
+export const revokeUserSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Session ids are UUIDs - anything else cannot match
+    if (!/^[0-9a-f-]{36}$/i.test(id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const session = await Session.findOne({
+      where: { id, userId: req.user.id, revokedAt: null }
+    });
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session.id, 'revoked_by_user');
+
+    await recordAudit(req, {
+      action: 'user.session_revoke',
+      targetType: 'session',
+      targetId: session.id,
+      metadata: { deviceName: session.deviceName }
+    });
+
+    console.log(`✅ User ${req.user.id} revoked session ${session.id}`);
+
+    res.json({ 
+      message: 'Session revoked',
+      current: session.id === req.sessionId
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke session',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// DELETE /api/users/me/sessions - Sign out everywhere else
+// ============================================
+export const revokeOtherUserSessions = async (req, res) => {
+  try {
+    const revokedSessions = await revokeOtherSessions(req.user.id, req.sessionId, 'signed_out_elsewhere');
+
+    await recordAudit(req, {
+      action: 'user.sessions_revoke_others',
+      targetType: 'user',
+      targetId: req.user.id,
+      metadata: { revokedSessions }
+    });
+
+    console.log(`✅ User ${req.user.id} signed out ${revokedSessions} other session(s)`);
+
+    res.json({ 
+      message: 'Signed out of all other sessions',
+      revokedSessions
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke sessions',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// GET /api/users/me/tokens - Personal access tokens
+// ============================================
+export const getAccessTokens = async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.findAll({
+      where: { userId: req.user.id, revokedAt: null },
+      attributes: ['id', 'name', 'tokenPrefix', 'scopes', 'expiresAt', 'lastUsedAt', 'lastUsedIp', 'createdAt'],
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      tokens: tokens.map(token => ({
+        ...token.toJSON(),
+        expired: token.expiresAt <= new Date()
+      })),
+      availableScopes: TOKEN_SCOPES
+    });
+
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch access tokens',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/users/me/tokens - Create personal access token
+// ============================================
+export const createAccessToken = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, scopes, expiresInDays = DEFAULT_TOKEN_TTL_DAYS } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Token name is required' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ 
+        error: 'At least one scope is required',
+        availableScopes: Object.keys(TOKEN_SCOPES)
+      });
+    }
+
+    const invalidScopes = scopes.filter(scope => !isValidScope(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ 
+        error: `Unknown scope(s): ${invalidScopes.join(', ')}`,
+        availableScopes: Object.keys(TOKEN_SCOPES)
+      });
+    }
+
+    const days = parseInt(expiresInDays);
+    if (!days || days < 1 || days > MAX_TOKEN_TTL_DAYS) {
+      return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_TOKEN_TTL_DAYS}` });
+    }
+
+    const activeCount = await PersonalAccessToken.count({ where: { userId, revokedAt: null } });
+    if (activeCount >= MAX_ACCESS_TOKENS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_ACCESS_TOKENS} access tokens` });
+    }
+
+    const { token, tokenHash, tokenPrefix } = generatePersonalAccessToken();
+    const accessToken = await PersonalAccessToken.create({
+      userId,
+      name: name.trim(),
+      tokenHash,
+      tokenPrefix,
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    await recordAudit(req, {
+      action: 'user.access_token_create',
+      targetType: 'access_token',
+      targetId: accessToken.id,
+      metadata: { name: accessToken.name, scopes: accessToken.scopes, expiresAt: accessToken.expiresAt }
+    });
+
+    console.log(`✅ User ${userId} created access token ${accessToken.id}`);
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now - it will not be shown again.',
+      token,
+      accessToken: {
+        id: accessToken.id,
+        name: accessToken.name,
+        tokenPrefix: accessToken.tokenPrefix,
+        scopes: accessToken.scopes,
+        expiresAt: accessToken.expiresAt,
+        createdAt: accessToken.createdAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create access token',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// DELETE /api/users/me/tokens/:id - Revoke personal access token
+// ============================================
+export const revokeAccessToken = async (req, res) => {
+  try {
+    const accessToken = await PersonalAccessToken.findOne({
+      where: { id: parseInt(req.params.id) || 0, userId: req.user.id, revokedAt: null }
+    });
+
+    if (!accessToken) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    await accessToken.update({ revokedAt: new Date() });
+
+    await recordAudit(req, {
+      action: 'user.access_token_revoke',
+      targetType: 'access_token',
+      targetId: accessToken.id,
+      metadata: { name: accessToken.name }
+    });
+
+    console.log(`✅ User ${req.user.id} revoked access token ${accessToken.id}`);
+
+    res.json({ message: 'Access token revoked' });
+
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({ 
+      error: 'Failed to revoke access token',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// GET /api/users/me/2fa - Two-factor status
+// ============================================
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = req.user;
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      pendingSetup: !user.twoFactorEnabled && Boolean(user.twoFactorSecret),
+      recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0,
+      required: await isTwoFactorRequired(user)
+    });
+
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch two-factor status',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/users/me/2fa/setup - Start 2FA enrolment
+// ============================================
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+    const { password } = req.body;
+
+    if (!password) {
+      return res.status(400).json({ error: 'Password is required' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const isValidPassword = await user.validatePassword(password);
+    if (!isValidPassword) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+
+    // Not active until confirmed with a first code
+    const secret = generateSecret();
+    await user.update({
+      twoFactorSecret: encryptSecret(secret),
+      twoFactorLastUsedStep: null
+    });
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUrl: buildOtpauthUri({ secret, account: user.email })
+    });
+
+  } catch (error) {
+    console.error('Setup 2FA error:', error);
+    res.status(500).json({ 
+      error: 'Failed to start two-factor setup',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/users/me/2fa/confirm - Finish enrolment
+// ============================================
+export const confirmTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res.status(400).json({ error: 'Start the setup first at POST /api/users/me/2fa/setup' });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({
+      twoFactorEnabled: true,
+      twoFactorRecoveryCodes: hashes,
+      twoFactorLastUsedStep: step
+    });
+
+    await recordAudit(req, { action: 'user.2fa_enable', targetType: 'user', targetId: user.id });
+
+    console.log(`✅ User ${user.id} enabled two-factor authentication`);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes,
+      note: 'Store these recovery codes somewhere safe. They are only shown once.'
+    });
+
+  } catch (error) {
+    console.error('Confirm 2FA error:', error);
+    res.status(500).json({ 
+      error: 'Failed to enable two-factor authentication',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// POST /api/users/me/2fa/recovery-codes - Replace recovery codes
+// ============================================
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = req.user;
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({ error: 'Password and code are required' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isValidPassword = await user.validatePassword(password);
+    if (!isValidPassword || !(await verifySecondFactor(user, { code }))) {
+      return res.status(401).json({ error: 'Incorrect password or code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({ twoFactorRecoveryCodes: hashes });
+
+    await recordAudit(req, { action: 'user.2fa_recovery_codes_regenerate', targetType: 'user', targetId: user.id });
+
+    res.json({
+      message: 'New recovery codes generated',
+      recoveryCodes: codes,
+      note: 'Previous recovery codes no longer work.'
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ 
+      error: 'Failed to generate recovery codes',
+      details: error.message 
+    });
+  }
+};
+
+// ============================================
+// DELETE /api/users/me/2fa - Disable 2FA
+// ============================================
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const user = req.user;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Password and a code or recovery code are required' });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+    }
+
+    const isValidPassword = await user.validatePassword(password);
+    if (!isValidPassword || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(401).json({ error: 'Incorrect password or code' });
+    }
+
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorRecoveryCodes: [],
+      twoFactorLastUsedStep: null
+    });
+
+    await recordAudit(req, { action: 'user.2fa_disable', targetType: 'user', targetId: user.id });
+
+    console.log(`✅ User ${user.id} disabled two-factor authentication`);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    res.status(500).json({ 
+      error: 'Failed to disable two-factor authentication',
+      details: error.message 
+    });
+  }
+};
+
 // ============================================
 // GET /api/users/:id - Get user by ID (Public)
 // ============================================
@@ -286,9 +872,9 @@ export const getUserById = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Get user's public recipe count
+    // Get user's public recipe count (published and approved)
     const recipesCount = await Recipe.count({ 
-      where: { userId: id } 
+      where: { userId: id, ...PUBLIC_RECIPE_WHERE } 
     });
 
     res.json({
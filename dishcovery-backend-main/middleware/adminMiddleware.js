@@ -1,6 +1,22 @@
 // /middleware/adminMiddleware.js
-export const admin = (req, res, next) => {
-  if (!req.user) return res.status(401).json({ error: "Unauthorized" });
-  if (req.user.role !== "admin") return res.status(403).json({ error: "Forbidden: Admins only" });
-  next();
+import { isTwoFactorRequired } from "../utils/twoFactor.js";
+
+// Admin area: accounts covered by the 2FA policy must have 2FA turned on.
+// Each admin route checks its own permission with requirePermission().
+export const enforceTwoFactorPolicy = async (req, res, next) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+
+    // Policy set by admins: admin accounts must have 2FA before using admin routes
+    if (!req.user.twoFactorEnabled && await isTwoFactorRequired(req.user)) {
+      return res.status(403).json({
+        error: "Two-factor authentication required",
+        message: "Enable two-factor authentication at /api/users/me/2fa to use admin features"
+      });
+    }
+
+    next();
+  } catch (err) {
+    next(err);
+  }
 };
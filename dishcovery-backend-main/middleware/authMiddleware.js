@@ -1,10 +1,85 @@
 // /middleware/authMiddleware.js
 import jwt from "jsonwebtoken";
 import { User } from "../models/index.js";
+import { findActiveSession, touchSession } from "../utils/sessions.js";
+import {
+  isPersonalAccessToken,
+  findActivePersonalAccessToken,
+  touchPersonalAccessToken
+} from "../utils/accessTokens.js";
+import { isAccountSuspended, suspensionResponse } from "../utils/suspensions.js";
 import dotenv from "dotenv";
 dotenv.config();
 
-export const auth = async (req, res, next) => {
+const failure = (status, body) => ({ failure: { status, body } });
+
+/**
+ * Work out who a bearer token belongs to
+ * @param {string} token - Session JWT or personal access token
+ * @param {object} [options]
+ * @param {string} [options.scope] - Scope a personal access token needs
+ * @param {boolean} [options.anyScope] - Accept personal access tokens whatever their scopes
+ * @returns {Promise<object>} - { user, session } / { user, accessToken }, or { failure: { status, body } }
+ */
+const resolveToken = async (token, { scope, anyScope = false } = {}) => {
+  if (isPersonalAccessToken(token)) {
+    const accessToken = await findActivePersonalAccessToken(token);
+    if (!accessToken) return failure(401, { error: "Invalid, expired or revoked access token" });
+
+    if (!anyScope) {
+      if (!scope) {
+        return failure(403, { error: "Personal access tokens cannot be used for this endpoint" });
+      }
+      if (!accessToken.scopes.includes(scope)) {
+        return failure(403, { error: `Access token is missing the "${scope}" scope` });
+      }
+    }
+
+    const user = await User.findByPk(accessToken.userId);
+    if (!user) return failure(401, { error: "User not found" });
+    if (await isAccountSuspended(user)) return failure(403, suspensionResponse(user));
+
+    return { user, accessToken };
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    return failure(401, { error: "Invalid or expired token" });
+  }
+
+  // Access tokens must belong to a session that has not been revoked
+  if (!decoded.sid) return failure(401, { error: "Session expired, please login again" });
+  const session = await findActiveSession(decoded.sid, decoded.id);
+  if (!session) return failure(401, { error: "Session has been revoked" });
+
+  const user = await User.findByPk(decoded.id);
+  if (!user) return failure(401, { error: "User not found" });
+  if (await isAccountSuspended(user)) return failure(403, suspensionResponse(user));
+
+  return { user, session };
+};
+
+// Attach the resolved user to the request
+const attachUser = (req, { user, session, accessToken }) => {
+  req.user = user;
+  if (accessToken) {
+    req.accessToken = accessToken;
+    touchPersonalAccessToken(accessToken, req.ip);
+  } else {
+    req.sessionId = session.id;
+    touchSession(session, req.ip);
+  }
+};
+
+/**
+ * Build an authentication middleware.
+ * Login sessions (JWT access tokens) are always accepted. Personal access
+ * tokens are only accepted when the route names a scope and the token has it.
+ * @param {string} [scope] - Scope a personal access token needs for this route
+ */
+const authenticate = (scope) => async (req, res, next) => {
   try {
     const header = req.headers.authorization;
     if (!header) return res.status(401).json({ error: "Authorization header missing" });
@@ -12,15 +87,37 @@ export const auth = async (req, res, next) => {
     const token = header.split(" ")[1];
     if (!token) return res.status(401).json({ error: "Invalid token format" });
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findByPk(decoded.id);
-    if (!user) return res.status(401).json({ error: "User not found" });
+    const result = await resolveToken(token, { scope });
+    if (result.failure) return res.status(result.failure.status).json(result.failure.body);
 
-    // attach user
-    req.user = user;
+    attachUser(req, result);
     next();
   } catch (err) {
     console.error("Auth middleware error:", err.message || err);
     return res.status(401).json({ error: "Invalid or expired token" });
   }
 };
+
+// Login sessions only
+export const auth = authenticate();
+
+// Login sessions, or personal access tokens that have `scope`
+export const authWithScope = (scope) => authenticate(scope);
+
+/**
+ * Public routes that show more to signed-in users. Never rejects: a missing,
+ * expired or invalid token (or a suspended account) is treated as anonymous,
+ * and personal access tokens are accepted for their user whatever their scopes.
+ */
+export const optionalAuth = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) return next();
+
+  try {
+    const result = await resolveToken(token, { anyScope: true });
+    if (!result.failure) attachUser(req, result);
+  } catch (err) {
+    console.error("Optional auth error:", err.message || err);
+  }
+  next();
+};
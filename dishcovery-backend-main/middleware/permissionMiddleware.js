@@ -0,0 +1,35 @@
+// /middleware/permissionMiddleware.js
+import { hasPermission } from "../config/permissions.js";
+
+/**
+ * Use after `auth`. Allows the request when the user's role has
+ * `permission`, `permission.any`, or `permission.own` on a resource
+ * they own.
+ * @param {string} permission - e.g. 'recipe.edit' or 'user.ban'
+ * @param {object} [options]
+ * @param {Function} [options.getOwnerId] - async (req) => owner user id,
+ *   or undefined when the resource does not exist (the controller answers 404)
+ */
+export const requirePermission = (permission, { getOwnerId } = {}) => async (req, res, next) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+
+    const { role } = req.user;
+    if (hasPermission(role, permission) || hasPermission(role, `${permission}.any`)) {
+      return next();
+    }
+
+    if (getOwnerId && hasPermission(role, `${permission}.own`)) {
+      const ownerId = await getOwnerId(req);
+      if (ownerId === undefined || ownerId === null) return next();
+      if (ownerId === req.user.id) return next();
+    }
+
+    return res.status(403).json({ 
+      error: "Forbidden",
+      message: `You do not have permission to do this (${permission})`
+    });
+  } catch (err) {
+    next(err);
+  }
+};
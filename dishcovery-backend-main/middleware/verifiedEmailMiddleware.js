@@ -0,0 +1,31 @@
+// /middleware/verifiedEmailMiddleware.js
+import dotenv from "dotenv";
+dotenv.config();
+
+/**
+ * Actions that need a verified email address.
+ * EMAIL_VERIFICATION_REQUIRED_FOR is a comma separated list of actions
+ * (e.g. "recipes:create,recipes:update,favorites:write"), or "none".
+ */
+const parsePolicy = () => {
+  const value = process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? 'recipes:create';
+  if (value.trim() === 'none') return new Set();
+  return new Set(value.split(',').map(action => action.trim()).filter(Boolean));
+};
+
+const requiredActions = parsePolicy();
+
+// Use after `auth`: blocks unverified users when the action is in the policy
+export const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (!requiredActions.has(action)) return next();
+  if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      error: "Email not verified",
+      message: "Please verify your email address first. You can request a new link at POST /api/auth/resend-verification"
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,62 @@
+// migrateCategories.js
+/**
+ * Moves recipes from the old free-text category onto the category
+ * hierarchy. Names, slugs and aliases from config/categories.js are
+ * matched ("Naija" → Nigerian, "calabar" → Efik); anything else becomes a
+ * new top-level category admins can move or merge later. Recipes that
+ * already have a categoryId are left alone, so it is safe to run again.
+ * Start the server once after upgrading first, so the Categories table exists.
+ * * Usage: npm run categories:migrate
+ */
+import sequelize, { Recipe, Category } from "./models/index.js";
+import { ensureDefaultCategories, loadCategories, findCategory } from "./utils/categories.js";
+import { slugify } from "./utils/slugify.js";
+import { DEFAULT_CATEGORY_SLUG } from "./config/categories.js";
+
+const migrate = async () => {
+  try {
+    await sequelize.authenticate();
+    console.log("✅ DB connected");
+
+    if (await ensureDefaultCategories()) {
+      console.log("✅ Default categories created");
+    }
+
+    const categories = await loadCategories();
+    const recipes = await Recipe.findAll({ where: { categoryId: null }, attributes: ['id', 'category'] });
+    const created = [];
+    let migrated = 0;
+
+    for (const recipe of recipes) {
+      const text = (recipe.category || '').trim();
+      let category = findCategory(categories, text || DEFAULT_CATEGORY_SLUG);
+
+      if (!category && slugify(text)) {
+        category = (await Category.create({ name: text.slice(0, 60), slug: slugify(text) })).get({ plain: true });
+        categories.push(category);
+        created.push(category.name);
+      }
+
+      category = category || findCategory(categories, DEFAULT_CATEGORY_SLUG);
+      if (!category) {
+        console.warn(`⚠️ Recipe ${recipe.id} skipped: no category for "${text}"`);
+        continue;
+      }
+
+      // silent: keeps updatedAt, this is not an edit by the author
+      await recipe.update({ categoryId: category.id, category: category.name }, { silent: true });
+      migrated++;
+    }
+
+    if (created.length > 0) {
+      console.log(`⚠️ New top-level categories for unknown values: ${created.join(', ')}`);
+    }
+    console.log(`✅ Categorised ${migrated} of ${recipes.length} recipes`);
+    process.exit();
+  } catch (error) {
+    console.error("❌ Error:", error);
+    process.exit(1);
+  }
+};
+
+migrate();
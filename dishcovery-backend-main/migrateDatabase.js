@@ -0,0 +1,31 @@
+// migrateDatabase.js
+/**
+ * Adds the tables and columns of a new version to an existing database
+ * (the server only does this by itself when NODE_ENV=development) and
+ * fills in existing rows where a new column needs it. Safe to run again.
+ * Run it after every upgrade, before starting the new version.
+ * * Usage: npm run db:migrate
+ */
+import sequelize from "./models/index.js";
+import { syncSchema } from "./utils/schema.js";
+
+const migrate = async () => {
+  try {
+    await sequelize.authenticate();
+    console.log("✅ DB connected");
+
+    const { grandfatheredUsers } = await syncSchema({ alter: true });
+    console.log("✅ Database schema up to date");
+
+    if (grandfatheredUsers > 0) {
+      console.log(`✅ ${grandfatheredUsers} existing users marked as verified`);
+    }
+
+    process.exit();
+  } catch (error) {
+    console.error("❌ Error:", error);
+    process.exit(1);
+  }
+};
+
+migrate();
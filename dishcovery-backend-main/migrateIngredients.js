@@ -0,0 +1,40 @@
+// migrateIngredients.js
+/**
+ * Converts recipes whose ingredients are still plain strings
+ * ("2 cups rice") to structured ingredients
+ * ({ quantity, unit, name, note, group }). Safe to run more than once.
+ * The API also parses old strings on read, so this can run any time.
+ * * Usage: npm run ingredients:migrate
+ */
+import sequelize, { Recipe } from "./models/index.js";
+import { toStructuredIngredients } from "./utils/ingredients.js";
+
+const migrate = async () => {
+  try {
+    await sequelize.authenticate();
+    console.log("✅ DB connected");
+
+    const recipes = await Recipe.findAll({ attributes: ['id', 'ingredients'] });
+    let migrated = 0;
+
+    for (const recipe of recipes) {
+      const hasStrings = (recipe.ingredients || []).some(entry => typeof entry === 'string');
+      if (!hasStrings) continue;
+
+      // silent: keeps updatedAt, this is not an edit by the author
+      await recipe.update(
+        { ingredients: toStructuredIngredients(recipe.ingredients) },
+        { silent: true }
+      );
+      migrated++;
+    }
+
+    console.log(`✅ Migrated ingredients of ${migrated} of ${recipes.length} recipes`);
+    process.exit();
+  } catch (error) {
+    console.error("❌ Error:", error);
+    process.exit(1);
+  }
+};
+
+migrate();
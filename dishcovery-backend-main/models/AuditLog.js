@@ -0,0 +1,63 @@
+// models/AuditLog.js - Append-only trail of security-sensitive and admin actions
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const AuditLog = sequelize.define("AuditLog", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // No foreign key on purpose: entries must outlive deleted users
+    actorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    actorEmail: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // e.g. 'auth.login', 'recipe.update', 'admin.user.delete'
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    targetType: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    targetId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // { before: {...}, after: {...} } with only the fields that changed
+    changes: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    metadata: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  }, {
+    tableName: 'AuditLogs',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['actorId'] },
+      { fields: ['action'] },
+      { fields: ['targetType', 'targetId'] },
+      { fields: ['createdAt'] }
+    ]
+  });
+
+  return AuditLog;
+};
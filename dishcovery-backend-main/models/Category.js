@@ -0,0 +1,39 @@
+// models/Category.js - Cuisine / region hierarchy (Nigerian → Yoruba)
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const Category = sequelize.define("Category", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(60),
+      allowNull: false
+    },
+    // Set once when the category is created, kept on rename (used in ?category=)
+    slug: {
+      type: DataTypes.STRING(60),
+      allowNull: false,
+      unique: true
+    },
+    // null = top-level cuisine
+    parentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Categories',
+        key: 'id'
+      }
+    }
+  }, {
+    tableName: 'Categories',
+    timestamps: true,
+    indexes: [
+      { fields: ['parentId'] }
+    ]
+  });
+
+  return Category;
+};
@@ -0,0 +1,48 @@
+// models/LoginThrottle.js - Failed login counters per account and per IP
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const LoginThrottle = sequelize.define("LoginThrottle", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // 'account' (key = normalized email) or 'ip' (key = client IP)
+    scope: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [['account', 'ip']]
+      }
+    },
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    failedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    lastFailedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'LoginThrottles',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['scope', 'key']
+      }
+    ]
+  });
+
+  return LoginThrottle;
+};
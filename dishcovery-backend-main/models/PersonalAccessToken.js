@@ -0,0 +1,66 @@
+// models/PersonalAccessToken.js - Scoped API tokens for scripts and integrations
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const PersonalAccessToken = sequelize.define("PersonalAccessToken", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    // ✅ Only the SHA-256 hash is stored, the token is shown once
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    // First characters of the token, so users can tell tokens apart
+    tokenPrefix: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    scopes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastUsedIp: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'PersonalAccessTokens',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  return PersonalAccessToken;
+};
@@ -1,6 +1,9 @@
 // models/Recipe.js - Fixed with proper field definitions
 import { DataTypes } from "sequelize";
 
+export const MODERATION_STATUSES = ['approved', 'pending', 'rejected', 'changes_requested'];
+export const RECIPE_STATUSES = ['draft', 'published', 'archived'];
+
 export default (sequelize) => {
   const Recipe = sequelize.define("Recipe", {
     id: {
@@ -12,10 +15,21 @@ export default (sequelize) => {
       type: DataTypes.STRING,
       allowNull: false,
     },
+    // Name of the category below, kept for display and older clients
     category: {
       type: DataTypes.STRING,
       defaultValue: "Nigerian",
     },
+    // ✅ Place in the cuisine hierarchy (models/Category.js)
+    categoryId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Categories',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
     cookingTime: {
       type: DataTypes.INTEGER,
       allowNull: false,
@@ -26,6 +40,17 @@ export default (sequelize) => {
       allowNull: false,
       defaultValue: 10
     },
+    // ✅ Number of servings the ingredient quantities are for
+    servings: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 4,
+      validate: {
+        min: 1,
+        max: 100
+      }
+    },
+    // ✅ Average of the reviews, maintained by utils/ratings.js (0 = not rated yet)
     rating: {
       type: DataTypes.FLOAT,
       defaultValue: 0,
@@ -34,6 +59,17 @@ export default (sequelize) => {
         max: 5
       }
     },
+    ratingCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    // Number of reviews per star: { "1": 0, ..., "5": 0 }
+    ratingDistribution: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
+    },
     description: {
       type: DataTypes.TEXT,
       defaultValue: ''
@@ -49,6 +85,19 @@ export default (sequelize) => {
       allowNull: false,
       defaultValue: []
     },
+    // ✅ Allergens and dietary markers, detected from ingredients (utils/allergens.js)
+    // NULL until detected: such recipes are hidden while an allergen/diet filter is on
+    contains: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: true,
+      defaultValue: null
+    },
+    // Author corrections to the detection: { add: [...], remove: [...] }
+    allergenOverrides: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: { add: [], remove: [] }
+    },
     // ✅ Image URL from Cloudinary
     image: {
       type: DataTypes.STRING,
@@ -63,10 +112,88 @@ export default (sequelize) => {
         model: 'Users',
         key: 'id'
       }
+    },
+    // ✅ Lifecycle: drafts and archived recipes are only visible to their author
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'published',
+      validate: {
+        isIn: [RECIPE_STATUSES]
+      }
+    },
+    // First time the recipe was published
+    publishedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // ✅ Recipe this one was forked from (null again if the original is deleted)
+    forkedFromId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Recipes',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    // Attribution chain, nearest ancestor first: [{ recipeId, name, userId, authorName }]
+    // Copied at fork time so credit survives deleted ancestors
+    forkLineage: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    // ✅ Moderation queue (only approved recipes are listed publicly)
+    moderationStatus: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'approved',
+      validate: {
+        isIn: [MODERATION_STATUSES]
+      }
+    },
+    // Reason given when rejecting or asking for changes
+    moderationNote: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    moderatedById: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    moderatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // ✅ Soft delete: deletedAt is set by destroy() (paranoid), rows are purged
+    // after the trash retention period (utils/trash.js)
+    deletedById: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
     }
   }, {
     tableName: 'Recipes',
-    timestamps: true
+    timestamps: true,
+    paranoid: true,
+    indexes: [
+      { fields: ['moderationStatus'] },
+      { fields: ['status'] },
+      { fields: ['categoryId'] },
+      { fields: ['forkedFromId'] },
+      { fields: ['deletedAt'] },
+      { fields: ['contains'], using: 'gin' }
+    ]
   });
 
   return Recipe;
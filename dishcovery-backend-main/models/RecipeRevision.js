@@ -0,0 +1,71 @@
+// models/RecipeRevision.js - Full snapshot of a recipe after each edit
+import { DataTypes } from "sequelize";
+
+export const REVISION_ACTIONS = ['create', 'update', 'revert'];
+
+export default (sequelize) => {
+  const RecipeRevision = sequelize.define("RecipeRevision", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    recipeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Recipes',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    // 1, 2, 3... per recipe
+    revisionNumber: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    // User who made the change (null once their account is deleted)
+    editorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'Users',
+        key: 'id'
+      },
+      onDelete: 'SET NULL'
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'update',
+      validate: {
+        isIn: [REVISION_ACTIONS]
+      }
+    },
+    // Revision number restored by a revert
+    revertedFrom: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Fields that differ from the previous revision
+    changedFields: {
+      type: DataTypes.ARRAY(DataTypes.STRING),
+      allowNull: false,
+      defaultValue: []
+    },
+    // Recipe content after the change (see utils/recipeRevisions.js)
+    snapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false
+    }
+  }, {
+    tableName: 'RecipeRevisions',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { unique: true, fields: ['recipeId', 'revisionNumber'] }
+    ]
+  });
+
+  return RecipeRevision;
+};
@@ -0,0 +1,34 @@
+// models/RecipeTag.js - Join table between recipes and tags
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const RecipeTag = sequelize.define("RecipeTag", {
+    recipeId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      references: {
+        model: 'Recipes',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    },
+    tagId: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      references: {
+        model: 'Tags',
+        key: 'id'
+      },
+      onDelete: 'CASCADE'
+    }
+  }, {
+    tableName: 'RecipeTags',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      { fields: ['tagId'] }
+    ]
+  });
+
+  return RecipeTag;
+};
@@ -0,0 +1,45 @@
+// models/RefreshToken.js - Rotating refresh tokens belonging to a session
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const RefreshToken = sequelize.define("RefreshToken", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: 'Sessions',
+        key: 'id'
+      }
+    },
+    // ✅ Only the SHA-256 hash is stored
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Set once the token has been exchanged for a new one
+    rotatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'RefreshTokens',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['sessionId']
+      }
+    ]
+  });
+
+  return RefreshToken;
+};
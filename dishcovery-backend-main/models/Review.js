@@ -0,0 +1,60 @@
+// models/Review.js - Star ratings and reviews (one per user per recipe)
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const Review = sequelize.define("Review", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    recipeId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Recipes',
+        key: 'id'
+      }
+    },
+    rating: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1,
+        max: 5
+      }
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    // ✅ Optional photo from Cloudinary
+    image: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'Reviews',
+    timestamps: true,
+    // Reviews of a deleted account are hidden with it and come back when the
+    // account is restored (utils/trash.js). Deleting a review is permanent.
+    paranoid: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['userId', 'recipeId']
+      },
+      { fields: ['recipeId', 'createdAt'] }
+    ]
+  });
+
+  return Review;
+};
@@ -0,0 +1,60 @@
+// models/Session.js - One login (refresh token family) per row
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const Session = sequelize.define("Session", {
+    // ✅ UUID so session ids can be embedded in access tokens (sid claim)
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      defaultValue: DataTypes.UUIDV4
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    // ✅ Device information shown in the user's session list
+    deviceName: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    userAgent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    lastSeenAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedReason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    tableName: 'Sessions',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId']
+      }
+    ]
+  });
+
+  return Session;
+};
@@ -0,0 +1,24 @@
+// models/Setting.js - Platform-wide settings changed by admins at runtime
+import { DataTypes } from "sequelize";
+
+export default (sequelize) => {
+  const Setting = sequelize.define("Setting", {
+    key: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    value: {
+      type: DataTypes.JSONB,
+      allowNull: true
+    },
+    updatedById: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    }
+  }, {
+    tableName: 'Settings',
+    timestamps: true
+  });
+
+  return Setting;
+};
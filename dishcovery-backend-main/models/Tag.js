@@ -0,0 +1,40 @@
+// models/Tag.js - Recipe tags ("Breakfast", "Street food", "Grilling", ...)
+import { DataTypes } from "sequelize";
+
+export const TAG_TYPES = ['meal', 'occasion', 'diet', 'technique'];
+
+export default (sequelize) => {
+  const Tag = sequelize.define("Tag", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    // Lowercase, dash separated ("street-food"), used in ?tags= filters
+    slug: {
+      type: DataTypes.STRING(60),
+      allowNull: false,
+      unique: true
+    },
+    // null = general tag without a type
+    type: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      validate: {
+        isIn: [TAG_TYPES]
+      }
+    }
+  }, {
+    tableName: 'Tags',
+    timestamps: true,
+    indexes: [
+      { fields: ['type'] }
+    ]
+  });
+
+  return Tag;
+};
@@ -1,6 +1,11 @@
 // models/User.js - Fixed with proper field definitions
 import { DataTypes } from "sequelize";
 import bcrypt from "bcryptjs";
+import { ROLES } from "../config/permissions.js";
+import { UNIT_SYSTEMS } from "../config/units.js";
+import { ALLERGENS, DIETS } from "../config/allergens.js";
+
+export const USER_STATUSES = ['active', 'suspended', 'banned'];
 
 export default (sequelize) => {
   const User = sequelize.define(
@@ -36,13 +41,112 @@ export default (sequelize) => {
         defaultValue: "user",
         allowNull: false,
         validate: {
-          isIn: [['user', 'admin']]
+          isIn: [ROLES]
         }
+      },
+      emailVerified: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      emailVerifiedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // ✅ TOTP two-factor authentication
+      twoFactorEnabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      // Encrypted secret (set during enrolment, active once twoFactorEnabled)
+      twoFactorSecret: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      // SHA-256 hashes of the unused recovery codes
+      twoFactorRecoveryCodes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: []
+      },
+      // Last accepted time step, so a code cannot be replayed
+      twoFactorLastUsedStep: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+      },
+      // Units recipes are shown in unless ?units= says otherwise
+      preferredUnits: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "original",
+        validate: {
+          isIn: [UNIT_SYSTEMS]
+        }
+      },
+      // Dietary restrictions applied to recipe feeds unless the query says otherwise
+      excludedAllergens: {
+        type: DataTypes.ARRAY(DataTypes.STRING),
+        allowNull: false,
+        defaultValue: [],
+        validate: {
+          knownAllergens(value) {
+            if (!Array.isArray(value) || value.some(allergen => !(allergen in ALLERGENS))) {
+              throw new Error("Unknown allergen");
+            }
+          }
+        }
+      },
+      diet: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        validate: {
+          isIn: [Object.keys(DIETS)]
+        }
+      },
+      // Trusted authors skip the recipe moderation queue
+      trusted: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      // ✅ Suspensions and bans (see utils/suspensions.js)
+      status: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: "active",
+        validate: {
+          isIn: [USER_STATUSES]
+        }
+      },
+      suspensionReason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+      },
+      suspendedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      // null = until lifted by a moderator
+      suspendedUntil: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      suspendedById: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onDelete: 'SET NULL'
       }
     },
     { 
       tableName: 'Users',
-      timestamps: true 
+      timestamps: true,
+      // Deleted accounts stay restorable until the trash is purged (utils/trash.js)
+      paranoid: true
     }
   );
 
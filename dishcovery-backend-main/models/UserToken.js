@@ -0,0 +1,53 @@
+// models/UserToken.js - Single-use tokens emailed to users (password reset, email verification)
+import { DataTypes } from "sequelize";
+
+export const TOKEN_PURPOSES = ['password_reset', 'email_verification'];
+
+export default (sequelize) => {
+  const UserToken = sequelize.define("UserToken", {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'Users',
+        key: 'id'
+      }
+    },
+    purpose: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      validate: {
+        isIn: [TOKEN_PURPOSES]
+      }
+    },
+    // ✅ Only the SHA-256 hash is stored, the raw token is only ever emailed
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    tableName: 'UserTokens',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['userId', 'purpose']
+      }
+    ]
+  });
+
+  return UserToken;
+};
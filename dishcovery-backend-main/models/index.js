@@ -3,11 +3,35 @@ import sequelize from "../config/database.js";
 import UserModel from "./User.js";
 import RecipeModel from "./Recipe.js";
 import FavoriteModel from "./favorite.js";
+import UserTokenModel from "./UserToken.js";
+import SessionModel from "./Session.js";
+import RefreshTokenModel from "./RefreshToken.js";
+import LoginThrottleModel from "./LoginThrottle.js";
+import SettingModel from "./Setting.js";
+import PersonalAccessTokenModel from "./PersonalAccessToken.js";
+import AuditLogModel from "./AuditLog.js";
+import ReviewModel from "./Review.js";
+import TagModel from "./Tag.js";
+import RecipeTagModel from "./RecipeTag.js";
+import CategoryModel from "./Category.js";
+import RecipeRevisionModel from "./RecipeRevision.js";
 
 // Initialize models
 export const User = UserModel(sequelize);
 export const Recipe = RecipeModel(sequelize);
 export const Favorite = FavoriteModel(sequelize);
+export const UserToken = UserTokenModel(sequelize);
+export const Session = SessionModel(sequelize);
+export const RefreshToken = RefreshTokenModel(sequelize);
+export const LoginThrottle = LoginThrottleModel(sequelize);
+export const Setting = SettingModel(sequelize);
+export const PersonalAccessToken = PersonalAccessTokenModel(sequelize);
+export const AuditLog = AuditLogModel(sequelize);
+export const Review = ReviewModel(sequelize);
+export const Tag = TagModel(sequelize);
+export const RecipeTag = RecipeTagModel(sequelize);
+export const Category = CategoryModel(sequelize);
+export const RecipeRevision = RecipeRevisionModel(sequelize);
 
 // ✅ Setup relationships with proper aliases
 User.hasMany(Recipe, { 
@@ -43,6 +67,156 @@ Favorite.belongsTo(Recipe, {
   as: "recipe"
 });
 
+User.hasMany(UserToken, { 
+  foreignKey: "userId",
+  as: "tokens",
+  onDelete: "CASCADE" 
+});
+
+UserToken.belongsTo(User, { 
+  foreignKey: "userId",
+  as: "user"
+});
+
+User.hasMany(Session, { 
+  foreignKey: "userId",
+  as: "sessions",
+  onDelete: "CASCADE" 
+});
+
+Session.belongsTo(User, { 
+  foreignKey: "userId",
+  as: "user"
+});
+
+Session.hasMany(RefreshToken, { 
+  foreignKey: "sessionId",
+  as: "refreshTokens",
+  onDelete: "CASCADE" 
+});
+
+RefreshToken.belongsTo(Session, { 
+  foreignKey: "sessionId",
+  as: "session"
+});
+
+User.hasMany(PersonalAccessToken, { 
+  foreignKey: "userId",
+  as: "accessTokens",
+  onDelete: "CASCADE" 
+});
+
+PersonalAccessToken.belongsTo(User, { 
+  foreignKey: "userId",
+  as: "user"
+});
+
+User.hasMany(Review, { 
+  foreignKey: "userId",
+  as: "reviews",
+  onDelete: "CASCADE" 
+});
+
+Review.belongsTo(User, { 
+  foreignKey: "userId",
+  as: "user"
+});
+
+Recipe.hasMany(Review, { 
+  foreignKey: "recipeId",
+  as: "reviews",
+  onDelete: "CASCADE" 
+});
+
+Review.belongsTo(Recipe, { 
+  foreignKey: "recipeId",
+  as: "recipe"
+});
+
+Recipe.belongsToMany(Tag, { 
+  through: RecipeTag,
+  foreignKey: "recipeId",
+  otherKey: "tagId",
+  as: "tags"
+});
+
+Tag.belongsToMany(Recipe, { 
+  through: RecipeTag,
+  foreignKey: "tagId",
+  otherKey: "recipeId",
+  as: "recipes"
+});
+
+RecipeTag.belongsTo(Tag, { 
+  foreignKey: "tagId",
+  as: "tag"
+});
+
+Category.hasMany(Category, { 
+  foreignKey: "parentId",
+  as: "children"
+});
+
+Category.belongsTo(Category, { 
+  foreignKey: "parentId",
+  as: "parent"
+});
+
+Category.hasMany(Recipe, { 
+  foreignKey: "categoryId",
+  as: "recipes"
+});
+
+// "category" is the plain name column, hence the different alias
+Recipe.belongsTo(Category, { 
+  foreignKey: "categoryId",
+  as: "categoryNode"
+});
+
+Recipe.hasMany(RecipeRevision, { 
+  foreignKey: "recipeId",
+  as: "revisions",
+  onDelete: "CASCADE" 
+});
+
+RecipeRevision.belongsTo(Recipe, { 
+  foreignKey: "recipeId",
+  as: "recipe"
+});
+
+// Editor of a revision (kept when the account is deleted)
+RecipeRevision.belongsTo(User, { 
+  foreignKey: "editorId",
+  as: "editor",
+  onDelete: "SET NULL" 
+});
+
+Recipe.hasMany(Recipe, { 
+  foreignKey: "forkedFromId",
+  as: "forks"
+});
+
+// Original of a fork (SET NULL keeps forks when it is deleted)
+Recipe.belongsTo(Recipe, { 
+  foreignKey: "forkedFromId",
+  as: "forkedFrom",
+  onDelete: "SET NULL" 
+});
+
+// Moderator who last reviewed the recipe
+Recipe.belongsTo(User, { 
+  foreignKey: "moderatedById",
+  as: "moderatedBy",
+  onDelete: "SET NULL" 
+});
+
+// Moderator who suspended or banned the user
+User.belongsTo(User, { 
+  foreignKey: "suspendedById",
+  as: "suspendedBy",
+  onDelete: "SET NULL" 
+});
+
 console.log('✅ Models initialized with associations');
 
 export default sequelize;
\ No newline at end of file
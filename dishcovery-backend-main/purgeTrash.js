@@ -0,0 +1,28 @@
+// purgeTrash.js
+/**
+ * Permanently deletes recipes and accounts that have been in the trash
+ * longer than the retention period (PUT /api/admin/settings/trash,
+ * default TRASH_RETENTION_DAYS or 30), with their Cloudinary images.
+ * The server also does this every TRASH_PURGE_INTERVAL_HOURS; set it to 0
+ * and run this script from cron instead when running several instances.
+ * * Usage: npm run trash:purge
+ */
+import sequelize from "./models/index.js";
+import { purgeExpiredTrash } from "./utils/trash.js";
+
+const purge = async () => {
+  try {
+    await sequelize.authenticate();
+    console.log("✅ DB connected");
+
+    const { users, recipes, images } = await purgeExpiredTrash();
+
+    console.log(`✅ Purged ${recipes} recipes, ${users} users and ${images} images`);
+    process.exit();
+  } catch (error) {
+    console.error("❌ Error:", error);
+    process.exit(1);
+  }
+};
+
+purge();
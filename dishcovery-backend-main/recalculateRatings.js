@@ -0,0 +1,31 @@
+// recalculateRatings.js
+/**
+ * Recomputes rating, ratingCount and ratingDistribution of every recipe
+ * from its reviews. Run once after upgrading to reviews, to replace the
+ * ratings that authors used to type in themselves (recipes without
+ * reviews go back to 0).
+ * * Usage: npm run ratings:recalculate
+ */
+import sequelize, { Recipe } from "./models/index.js";
+import { refreshRecipeRating } from "./utils/ratings.js";
+
+const recalculate = async () => {
+  try {
+    await sequelize.authenticate();
+    console.log("✅ DB connected");
+
+    const recipes = await Recipe.findAll({ attributes: ['id'] });
+
+    for (const recipe of recipes) {
+      await refreshRecipeRating(recipe.id);
+    }
+
+    console.log(`✅ Ratings recalculated for ${recipes.length} recipes`);
+    process.exit();
+  } catch (error) {
+    console.error("❌ Error:", error);
+    process.exit(1);
+  }
+};
+
+recalculate();
@@ -0,0 +1,37 @@
+// refreshAllergens.js
+/**
+ * Detects the allergens and dietary markers of every recipe again from its
+ * ingredients (keeping the author's overrides). Run after upgrading to
+ * allergen filtering and whenever config/allergens.js changes.
+ * * Usage: npm run allergens:refresh
+ */
+import sequelize, { Recipe } from "./models/index.js";
+import { toStructuredIngredients } from "./utils/ingredients.js";
+import { resolveContains } from "./utils/allergens.js";
+
+const refresh = async () => {
+  try {
+    await sequelize.authenticate();
+    console.log("✅ DB connected");
+
+    const recipes = await Recipe.findAll({ attributes: ['id', 'ingredients', 'contains', 'allergenOverrides'] });
+    let changed = 0;
+
+    for (const recipe of recipes) {
+      const contains = resolveContains(toStructuredIngredients(recipe.ingredients), recipe.allergenOverrides);
+      if (recipe.contains && contains.join(',') === [...recipe.contains].sort().join(',')) continue;
+
+      // silent: keeps updatedAt, this is not an edit by the author
+      await recipe.update({ contains }, { silent: true });
+      changed++;
+    }
+
+    console.log(`✅ Allergens updated for ${changed} of ${recipes.length} recipes`);
+    process.exit();
+  } catch (error) {
+    console.error("❌ Error:", error);
+    process.exit(1);
+  }
+};
+
+refresh();
@@ -0,0 +1,212 @@
+// routes/adminRoutes.js
+// ✅ Admin routes (auth and the 2FA policy on every route, one permission per route)
+
+import express from "express";
+import {
+  listUsers,
+  updateUserRole,
+  makeAdmin,
+  deleteUser,
+  restoreUser,
+  suspendUser,
+  liftSuspension,
+  deleteRecipe,
+  getStats,
+  getTwoFactorSettings,
+  updateTwoFactorSettings,
+  getModerationSettings,
+  updateModerationSettings,
+  getTrashSettings,
+  updateTrashSettings,
+  listAuditLogs,
+  exportAuditLogs
+} from "../controllers/adminController.js";
+import { updateTag, mergeTag } from "../controllers/tagController.js";
+import { createCategory, updateCategory, deleteCategory } from "../controllers/categoryController.js";
+import { auth } from "../middleware/authMiddleware.js";
+import { enforceTwoFactorPolicy } from "../middleware/adminMiddleware.js";
+import { requirePermission } from "../middleware/permissionMiddleware.js";
+
+const router = express.Router();
+
+router.use(auth, enforceTwoFactorPolicy);
+
+// ============================================
+// Moderation (user.ban - moderators and admins)
+// ============================================
+
+/**
+ * PUT /api/admin/users/:id/suspension
+ * Suspend or ban a user. Their recipes are hidden, not deleted.
+ * Body: { status: "suspended" | "banned", reason: string, until?: ISO date }
+ */
+router.put("/users/:id/suspension", requirePermission("user.ban"), suspendUser);
+
+/**
+ * DELETE /api/admin/users/:id/suspension
+ * Lift a suspension or ban
+ */
+router.delete("/users/:id/suspension", requirePermission("user.ban"), liftSuspension);
+
+// ============================================
+// Users (user.list, user.role, user.delete - admins)
+// ============================================
+
+/**
+ * GET /api/admin/users
+ * List users with recipe counts
+ * Query params: q (name/email search), role, status, page, limit (max 100),
+ *               deleted=true (accounts in the trash, with deletedAt)
+ */
+router.get("/users", requirePermission("user.list"), listUsers);
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Change a user's role
+ * Body: { role: "user" | "editor" | "moderator" | "admin" }
+ */
+router.put("/users/:id/role", requirePermission("user.role"), updateUserRole);
+
+/**
+ * PUT /api/admin/users/:id/make-admin
+ * Promote a user to admin
+ */
+router.put("/users/:id/make-admin", requirePermission("user.role"), makeAdmin);
+
+/**
+ * DELETE /api/admin/users/:id
+ * Move a user, their recipes and their reviews to the trash
+ */
+router.delete("/users/:id", requirePermission("user.delete"), deleteUser);
+
+/**
+ * POST /api/admin/users/:id/restore
+ * Restore a deleted account with the recipes and reviews deleted along with it
+ */
+router.post("/users/:id/restore", requirePermission("user.delete"), restoreUser);
+
+// ============================================
+// Recipes (recipe.delete.any - moderators and admins)
+// ============================================
+
+/**
+ * DELETE /api/admin/recipes/:id
+ * Move any recipe to the trash (restore with POST /api/recipes/:id/restore)
+ */
+router.delete("/recipes/:id", requirePermission("recipe.delete.any"), deleteRecipe);
+
+// ============================================
+// Tags (tag.manage - admins)
+// ============================================
+
+/**
+ * PUT /api/admin/tags/:id
+ * Rename a tag or change its type (409 when the new name is taken - merge instead)
+ * Body: { name?: string, type?: "meal" | "occasion" | "diet" | "technique" | null }
+ */
+router.put("/tags/:id", requirePermission("tag.manage"), updateTag);
+
+/**
+ * POST /api/admin/tags/:id/merge
+ * Move every recipe of this tag to another tag and delete this one
+ * Body: { intoTagId: number }
+ */
+router.post("/tags/:id/merge", requirePermission("tag.manage"), mergeTag);
+
+// ============================================
+// Categories (category.manage - admins)
+// ============================================
+
+/**
+ * POST /api/admin/categories
+ * Add a cuisine or region
+ * Body: { name: string, parentId?: number, slug?: string (default: from name) }
+ */
+router.post("/categories", requirePermission("category.manage"), createCategory);
+
+/**
+ * PUT /api/admin/categories/:id
+ * Rename or move a category (the slug never changes)
+ * Body: { name?: string, parentId?: number | null }
+ */
+router.put("/categories/:id", requirePermission("category.manage"), updateCategory);
+
+/**
+ * DELETE /api/admin/categories/:id
+ * Delete a category without subcategories; its recipes move to the parent
+ */
+router.delete("/categories/:id", requirePermission("category.manage"), deleteCategory);
+
+// ============================================
+// Stats (stats.view - admins)
+// ============================================
+
+/**
+ * GET /api/admin/stats
+ * Users, recipes, favorites and signups per day
+ * Query params: days (default 30, max 365)
+ */
+router.get("/stats", requirePermission("stats.view"), getStats);
+
+// ============================================
+// Settings (settings.manage - admins)
+// ============================================
+
+/**
+ * GET /api/admin/settings/two-factor
+ * Current two-factor policy
+ */
+router.get("/settings/two-factor", requirePermission("settings.manage"), getTwoFactorSettings);
+
+/**
+ * PUT /api/admin/settings/two-factor
+ * Require 2FA for admin accounts
+ * Body: { requiredForAdmins: boolean }
+ */
+router.put("/settings/two-factor", requirePermission("settings.manage"), updateTwoFactorSettings);
+
+/**
+ * GET /api/admin/settings/moderation
+ * Current recipe moderation policy
+ */
+router.get("/settings/moderation", requirePermission("settings.manage"), getModerationSettings);
+
+/**
+ * PUT /api/admin/settings/moderation
+ * Send new and edited recipes from untrusted users to the moderation queue
+ * Body: { enabled: boolean }
+ */
+router.put("/settings/moderation", requirePermission("settings.manage"), updateModerationSettings);
+
+/**
+ * GET /api/admin/settings/trash
+ * How long deleted recipes and accounts are kept
+ */
+router.get("/settings/trash", requirePermission("settings.manage"), getTrashSettings);
+
+/**
+ * PUT /api/admin/settings/trash
+ * Change the retention period (applies to items already in the trash)
+ * Body: { retentionDays: number (1-365) }
+ */
+router.put("/settings/trash", requirePermission("settings.manage"), updateTrashSettings);
+
+// ============================================
+// Audit log (audit.view - admins)
+// ============================================
+
+/**
+ * GET /api/admin/audit-logs
+ * Who did what, newest first
+ * Query params: actorId, action ("recipe." for a prefix), targetType,
+ *               targetId, from, to (ISO dates), page, limit (max 100)
+ */
+router.get("/audit-logs", requirePermission("audit.view"), listAuditLogs);
+
+/**
+ * GET /api/admin/audit-logs/export
+ * Same filters as above, as a CSV download (max 10000 rows)
+ */
+router.get("/audit-logs/export", requirePermission("audit.view"), exportAuditLogs);
+
+export default router;
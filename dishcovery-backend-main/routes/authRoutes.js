@@ -1,9 +1,27 @@
 import express from "express";
-import { signup, login } from "../controllers/authController.js";
+import {
+  signup,
+  login,
+  verifyLoginTwoFactor,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+} from "../controllers/authController.js";
+import { auth } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
 router.post("/signup", signup);
 router.post("/login", login);
+router.post("/login/2fa", verifyLoginTwoFactor);
+router.post("/refresh", refresh);
+router.post("/logout", logout);
+router.get("/verify-email", verifyEmail);
+router.post("/resend-verification", auth, resendVerification);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
 
 export default router;
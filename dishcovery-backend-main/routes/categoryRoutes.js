@@ -0,0 +1,16 @@
+// routes/categoryRoutes.js
+// ✅ Cuisine hierarchy (managed by admins in adminRoutes.js)
+
+import express from "express";
+import { listCategories } from "../controllers/categoryController.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/categories
+ * The whole tree (cuisine → region) with recipeCount (directly in the category)
+ * and totalRecipeCount (including subcategories)
+ */
+router.get("/", listCategories);
+
+export default router;
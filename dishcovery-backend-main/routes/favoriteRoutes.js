@@ -1,14 +1,15 @@
 // /routes/favoriteRoutes.js
 import express from "express";
 import { toggleFavorite, getUserFavorites } from "../controllers/favoriteController.js";
-import { auth } from "../middleware/authMiddleware.js";
+import { authWithScope } from "../middleware/authMiddleware.js";
+import { requireVerifiedEmail } from "../middleware/verifiedEmailMiddleware.js";
 
 const router = express.Router();
 
 // Toggle favorite for recipe id
-router.post("/:id/toggle", auth, toggleFavorite);
+router.post("/:id/toggle", authWithScope("favorites:write"), requireVerifiedEmail("favorites:write"), toggleFavorite);
 
 // Get user's favorites
-router.get("/", auth, getUserFavorites);
+router.get("/", authWithScope("favorites:read"), getUserFavorites);
 
 export default router;
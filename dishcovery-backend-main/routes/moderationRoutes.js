@@ -0,0 +1,62 @@
+// routes/moderationRoutes.js
+// ✅ Recipe moderation queue (recipe.moderate - moderators and admins)
+
+import express from "express";
+import {
+  getModerationQueue,
+  approveRecipe,
+  rejectRecipe,
+  requestRecipeChanges,
+  setUserTrusted
+} from "../controllers/moderationController.js";
+import { auth } from "../middleware/authMiddleware.js";
+import { requirePermission } from "../middleware/permissionMiddleware.js";
+
+const router = express.Router();
+
+router.use(auth, requirePermission("recipe.moderate"));
+
+// ============================================
+// Recipes
+// ============================================
+
+/**
+ * GET /api/moderation/recipes
+ * Recipes waiting for review, oldest first
+ * Query params: status (pending | rejected | changes_requested), page, limit (max 100)
+ */
+router.get("/recipes", getModerationQueue);
+
+/**
+ * POST /api/moderation/recipes/:id/approve
+ * Publish a recipe
+ * Body: { reason?: string }
+ */
+router.post("/recipes/:id/approve", approveRecipe);
+
+/**
+ * POST /api/moderation/recipes/:id/reject
+ * Reject a recipe (stays hidden, the author is told why)
+ * Body: { reason: string }
+ */
+router.post("/recipes/:id/reject", rejectRecipe);
+
+/**
+ * POST /api/moderation/recipes/:id/request-changes
+ * Send a recipe back to its author; editing it resubmits it
+ * Body: { reason: string }
+ */
+router.post("/recipes/:id/request-changes", requestRecipeChanges);
+
+// ============================================
+// Users
+// ============================================
+
+/**
+ * PUT /api/moderation/users/:id/trusted
+ * Trusted users' recipes skip the queue
+ * Body: { trusted: boolean }
+ */
+router.put("/users/:id/trusted", setUserTrusted);
+
+export default router;
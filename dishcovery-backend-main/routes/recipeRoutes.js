@@ -6,12 +6,23 @@ import multer from "multer";
 import {
   createRecipe,
   getAllRecipes,
+  getRecipesByIngredients,
   getRecipeById,
   updateRecipe,
   deleteRecipe,
+  publishRecipe,
+  unpublishRecipe,
+  archiveRecipe,
+  forkRecipe,
+  getRecipeForks,
+  getTrash,
+  restoreRecipe,
   getUserRecipes
 } from "../controllers/recipeController.js";
-import { auth } from "../middleware/authMiddleware.js";
+import { Recipe } from "../models/index.js";
+import { authWithScope, optionalAuth } from "../middleware/authMiddleware.js";
+import { requireVerifiedEmail } from "../middleware/verifiedEmailMiddleware.js";
+import { requirePermission } from "../middleware/permissionMiddleware.js";
 
 const router = express.Router();
 
@@ -33,6 +44,15 @@ const upload = multer({
   }
 });
 
+// ============================================
+// Helper: Owner of the recipe in :id (for own/any permissions)
+// ============================================
+const getRecipeOwnerId = async (req) => {
+  const recipe = await Recipe.findByPk(req.params.id);
+  req.recipe = recipe;
+  return recipe?.userId;
+};
+
 // ============================================
 // Middleware: Parse JSON fields from multipart/form-data
 // ============================================
@@ -45,7 +65,7 @@ const parseMultipartJSON = (req, res, next) => {
       console.error('Failed to parse ingredients:', error);
       return res.status(400).json({ 
         error: 'Invalid ingredients format',
-        message: 'Ingredients must be a valid JSON array'
+        message: 'Ingredients must be a valid JSON array of strings or { quantity, unit, name, note, group } objects'
       });
     }
   }
@@ -63,6 +83,27 @@ const parseMultipartJSON = (req, res, next) => {
     }
   }
 
+  // Parse tags if it's a JSON string (a plain "Breakfast, Street food" list works too)
+  if (req.body.tags && typeof req.body.tags === 'string') {
+    try {
+      req.body.tags = JSON.parse(req.body.tags);
+    } catch {
+      req.body.tags = req.body.tags.split(',').map(tag => tag.trim()).filter(Boolean);
+    }
+  }
+
+  // Parse allergen overrides if it's a JSON string
+  if (req.body.allergenOverrides && typeof req.body.allergenOverrides === 'string') {
+    try {
+      req.body.allergenOverrides = JSON.parse(req.body.allergenOverrides);
+    } catch (error) {
+      return res.status(400).json({ 
+        error: 'Invalid allergenOverrides format',
+        message: 'allergenOverrides must be a JSON object like { "add": ["sesame"], "remove": ["gluten"] }'
+      });
+    }
+  }
+
   // Convert numeric fields
   if (req.body.cookingTime) {
     req.body.cookingTime = parseInt(req.body.cookingTime);
@@ -70,9 +111,6 @@ const parseMultipartJSON = (req, res, next) => {
   if (req.body.prepTime) {
     req.body.prepTime = parseInt(req.body.prepTime);
   }
-  if (req.body.rating) {
-    req.body.rating = parseFloat(req.body.rating);
-  }
 
   next();
 };
@@ -84,21 +122,61 @@ const parseMultipartJSON = (req, res, next) => {
 /**
  * GET /api/recipes
  * Get all recipes with optional filters
- * Query params: q, category, minRating, maxCookingTime, page, limit
+ * Query params: q, category (id, slug or name - includes its subcategories),
+ *               tags (comma separated slugs), tagMatch (any | all, default any),
+ *               minRating, maxCookingTime, units, page, limit,
+ *               excludeAllergens (e.g. peanuts,shellfish), diet (vegetarian | vegan | halal | pescatarian)
+ * Signed-in users get their stored restrictions unless the query overrides them
+ */
+router.get("/", optionalAuth, getAllRecipes);
+
+/**
+ * GET /api/recipes/by-ingredients
+ * "What can I cook?" - recipes ranked by how many of their ingredients you have
+ * Query params: have (comma separated or repeated, e.g. yam,egg,tomato),
+ *               include (must be in the recipe), exclude (must not be),
+ *               maxMissing (most ingredients you are willing to buy),
+ *               category, excludeAllergens, diet, page, limit
+ * Declared before /:id so "by-ingredients" is not read as an id
  */
-router.get("/", getAllRecipes);
+router.get("/by-ingredients", optionalAuth, getRecipesByIngredients);
+
+/**
+ * GET /api/recipes/trash
+ * Your deleted recipes with the date they will be purged
+ * Query params: page, limit (max 100)
+ * Requires: auth token or access token with recipes:write
+ * Declared before /:id so "trash" is not read as an id
+ */
+router.get("/trash", authWithScope("recipes:write"), getTrash);
 
 /**
  * GET /api/recipes/:id
  * Get single recipe by ID
+ * Query params: servings (ingredients scaled to this many servings),
+ *               units (metric | imperial | original, default: user's preferredUnits)
+ * Pending/rejected recipes: only with the author's or a moderator's token
+ * Drafts and archived recipes: only with the author's token
+ * Includes forkCount, forkedFrom and lineage (ancestors, nearest first,
+ * marked deleted/available)
+ */
+router.get("/:id", optionalAuth, getRecipeById);
+
+/**
+ * GET /api/recipes/:id/forks
+ * Published forks of a recipe (plus your own forks when signed in)
+ * Query params: page, limit (max 100)
  */
-router.get("/:id", getRecipeById);
+router.get("/:id/forks", optionalAuth, getRecipeForks);
 
 /**
  * GET /api/recipes/user/:userId
  * Get all recipes by a specific user
+ * Others only see published recipes; the author also sees drafts and
+ * archived recipes (query param: status = draft | published | archived)
+ * Includes pending/rejected recipes for the author and moderators
  */
-router.get("/user/:userId", getUserRecipes);
+router.get("/user/:userId", optionalAuth, getUserRecipes);
 
 // ============================================
 // Protected Routes (require authentication)
@@ -107,21 +185,33 @@ router.get("/user/:userId", getUserRecipes);
 /**
  * POST /api/recipes
  * Create new recipe (with optional image upload)
- * Requires: auth token
+ * Requires: auth token or access token with recipes:write,
+ *           verified email (see EMAIL_VERIFICATION_REQUIRED_FOR)
+ * Goes to the moderation queue when moderation is on and the author is not trusted
  * Form data:
+ * - status (string, default: 'published') - 'draft' saves it privately,
+ *   drafts only need a name (publish with POST /api/recipes/:id/publish)
  * - name (string, required)
- * - category (string, default: 'Nigerian')
+ * - category (string, default: 'Nigerian') - id, slug or name from GET /api/categories
+ *   (or categoryId)
  * - cookingTime (number, default: 30)
  * - prepTime (number, default: 10)
- * - rating (number, default: 0)
+ * - servings (number, default: 4)
  * - description (string)
- * - ingredients (JSON array, required)
+ * - ingredients (JSON array, required) of strings ("2 cups rice, washed") or
+ *   objects { quantity, unit, name, note, group }
  * - instructions (JSON array, required)
+ * - tags (JSON array, optional) of names or { name, type } objects,
+ *   type: meal | occasion | diet | technique (unknown tags are created)
+ * - allergenOverrides (JSON object, optional) { add: [...], remove: [...] }
+ *   to correct the allergens detected from the ingredients
  * - image (file, optional)
  */
 router.post(
   "/", 
-  auth, 
+  authWithScope("recipes:write"), 
+  requireVerifiedEmail("recipes:create"),
+  requirePermission("recipe.create"),
   upload.single("image"), 
   parseMultipartJSON,
   createRecipe
@@ -130,12 +220,15 @@ router.post(
 /**
  * PUT /api/recipes/:id
  * Update existing recipe (with optional image upload)
- * Requires: auth token, must be recipe owner
+ * Requires: auth token or access token with recipes:write,
+ *           recipe owner or recipe.edit.any (editors, moderators, admins)
  * Form data: same as POST, all fields optional
  */
 router.put(
   "/:id", 
-  auth, 
+  authWithScope("recipes:write"), 
+  requireVerifiedEmail("recipes:update"),
+  requirePermission("recipe.edit", { getOwnerId: getRecipeOwnerId }),
   upload.single("image"), 
   parseMultipartJSON,
   updateRecipe
@@ -143,10 +236,78 @@ router.put(
 
 /**
  * DELETE /api/recipes/:id
- * Delete recipe
- * Requires: auth token, must be recipe owner
+ * Move recipe to the trash (restorable until the retention period ends)
+ * Requires: auth token or access token with recipes:write,
+ *           recipe owner or recipe.delete.any (moderators, admins)
  */
-router.delete("/:id", auth, deleteRecipe);
+router.delete(
+  "/:id", 
+  authWithScope("recipes:write"), 
+  requirePermission("recipe.delete", { getOwnerId: getRecipeOwnerId }),
+  deleteRecipe
+);
+
+/**
+ * POST /api/recipes/:id/publish
+ * Publish a draft or archived recipe (needs a name, ingredients and instructions)
+ * Goes to the moderation queue when moderation is on and the author is not trusted
+ * Requires: auth token or access token with recipes:write, recipe owner
+ */
+router.post(
+  "/:id/publish",
+  authWithScope("recipes:write"),
+  requireVerifiedEmail("recipes:create"),
+  requirePermission("recipe.edit", { getOwnerId: getRecipeOwnerId }),
+  publishRecipe
+);
+
+/**
+ * POST /api/recipes/:id/unpublish
+ * Move a recipe back to drafts (hidden from everyone but the author)
+ * Requires: auth token or access token with recipes:write, recipe owner
+ */
+router.post(
+  "/:id/unpublish",
+  authWithScope("recipes:write"),
+  requirePermission("recipe.edit", { getOwnerId: getRecipeOwnerId }),
+  unpublishRecipe
+);
+
+/**
+ * POST /api/recipes/:id/archive
+ * Archive a recipe (hidden from everyone but the author, can be published again)
+ * Requires: auth token or access token with recipes:write,
+ *           recipe owner or recipe.edit.any
+ */
+router.post(
+  "/:id/archive",
+  authWithScope("recipes:write"),
+  requirePermission("recipe.edit", { getOwnerId: getRecipeOwnerId }),
+  archiveRecipe
+);
+
+/**
+ * POST /api/recipes/:id/restore
+ * Take a recipe out of the trash (its favorites come back too)
+ * Requires: auth token or access token with recipes:write,
+ *           recipe owner (unless a moderator deleted it) or recipe.delete.any
+ */
+router.post("/:id/restore", authWithScope("recipes:write"), restoreRecipe);
+
+/**
+ * POST /api/recipes/:id/fork
+ * Copy a recipe (ingredients, instructions, tags, image...) into your account
+ * as a draft, crediting the original and its own ancestors
+ * Requires: auth token or access token with recipes:write, verified email
+ * Body (optional): { "name": "Egusi my way" }
+ */
+router.post(
+  "/:id/fork",
+  authWithScope("recipes:write"),
+  requireVerifiedEmail("recipes:create"),
+  requirePermission("recipe.create"),
+  forkRecipe
+);
 
 // ============================================
 // Error handling for multer
@@ -0,0 +1,125 @@
+// routes/reviewRoutes.js
+// ✅ Reviews of a recipe - mounted at /api/recipes/:recipeId/reviews
+
+import express from "express";
+import multer from "multer";
+import {
+  getRecipeReviews,
+  createReview,
+  updateReview,
+  deleteReview
+} from "../controllers/reviewController.js";
+import { Review } from "../models/index.js";
+import { authWithScope, optionalAuth } from "../middleware/authMiddleware.js";
+import { requireVerifiedEmail } from "../middleware/verifiedEmailMiddleware.js";
+import { requirePermission } from "../middleware/permissionMiddleware.js";
+
+// mergeParams: :recipeId comes from the mount path
+const router = express.Router({ mergeParams: true });
+
+// ============================================
+// Configure multer for review photos
+// ============================================
+const upload = multer({ 
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    // Accept images only
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+// ============================================
+// Helper: Author of the review in :reviewId (for own/any permissions)
+// ============================================
+const getReviewOwnerId = async (req) => {
+  const review = await Review.findOne({
+    where: { id: req.params.reviewId, recipeId: req.params.recipeId }
+  });
+  req.review = review;
+  return review?.userId;
+};
+
+/**
+ * GET /api/recipes/:recipeId/reviews
+ * Reviews of a recipe with the rating summary
+ * Query params: sort (newest | oldest | highest | lowest), page, limit (max 100)
+ */
+router.get("/", optionalAuth, getRecipeReviews);
+
+/**
+ * POST /api/recipes/:recipeId/reviews
+ * Rate and review a recipe (not your own, once per recipe)
+ * Requires: auth token or access token with reviews:write
+ * Form data or JSON:
+ * - rating (1-5, required)
+ * - comment (string, optional)
+ * - image (file, optional)
+ */
+router.post(
+  "/",
+  authWithScope("reviews:write"),
+  requireVerifiedEmail("reviews:write"),
+  requirePermission("review.create"),
+  upload.single("image"),
+  createReview
+);
+
+/**
+ * PUT /api/recipes/:recipeId/reviews/:reviewId
+ * Edit your review
+ * Form data or JSON: rating, comment, image, removeImage (all optional)
+ */
+router.put(
+  "/:reviewId",
+  authWithScope("reviews:write"),
+  requirePermission("review.edit", { getOwnerId: getReviewOwnerId }),
+  upload.single("image"),
+  updateReview
+);
+
+/**
+ * DELETE /api/recipes/:recipeId/reviews/:reviewId
+ * Delete your review (moderators can delete any review)
+ */
+router.delete(
+  "/:reviewId",
+  authWithScope("reviews:write"),
+  requirePermission("review.delete", { getOwnerId: getReviewOwnerId }),
+  deleteReview
+);
+
+// ============================================
+// Error handling for multer
+// ============================================
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ 
+        error: 'File too large',
+        message: 'Maximum file size is 5MB'
+      });
+    }
+    return res.status(400).json({ 
+      error: 'File upload error',
+      message: error.message
+    });
+  }
+  
+  if (error.message === 'Only image files are allowed!') {
+    return res.status(400).json({ 
+      error: 'Invalid file type',
+      message: 'Only image files (JPEG, PNG, WebP, etc.) are allowed'
+    });
+  }
+  
+  next(error);
+});
+
+export default router;
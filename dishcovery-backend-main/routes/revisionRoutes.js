@@ -0,0 +1,65 @@
+// routes/revisionRoutes.js
+// ✅ Revision history of a recipe - mounted at /api/recipes/:recipeId/revisions
+
+import express from "express";
+import {
+  listRevisions,
+  diffRevisions,
+  getRevision,
+  revertRevision
+} from "../controllers/revisionController.js";
+import { Recipe } from "../models/index.js";
+import { authWithScope } from "../middleware/authMiddleware.js";
+import { requireVerifiedEmail } from "../middleware/verifiedEmailMiddleware.js";
+import { requirePermission } from "../middleware/permissionMiddleware.js";
+
+// mergeParams: :recipeId comes from the mount path
+const router = express.Router({ mergeParams: true });
+
+// ============================================
+// Helper: Author of the recipe in :recipeId (for own/any permissions)
+// ============================================
+const getRecipeOwnerId = async (req) => {
+  const recipe = await Recipe.findByPk(req.params.recipeId);
+  req.recipe = recipe;
+  return recipe?.userId;
+};
+
+// Revisions are visible to whoever may edit the recipe:
+// its author, editors, moderators and admins
+router.use(
+  authWithScope("recipes:write"),
+  requirePermission("recipe.edit", { getOwnerId: getRecipeOwnerId })
+);
+
+/**
+ * GET /api/recipes/:recipeId/revisions
+ * Revisions of a recipe, newest first (without snapshots)
+ * Query params: page, limit (max 100)
+ * Requires: auth token or access token with recipes:write,
+ *           recipe owner or recipe.edit.any
+ */
+router.get("/", listRevisions);
+
+/**
+ * GET /api/recipes/:recipeId/revisions/diff
+ * Field-level changes between two revisions
+ * Query params: from, to (revision numbers, default: latest and the one before)
+ * Declared before /:revisionNumber so "diff" is not read as a number
+ */
+router.get("/diff", diffRevisions);
+
+/**
+ * GET /api/recipes/:recipeId/revisions/:revisionNumber
+ * One revision with its full snapshot
+ */
+router.get("/:revisionNumber", getRevision);
+
+/**
+ * POST /api/recipes/:recipeId/revisions/:revisionNumber/revert
+ * Restore the recipe content and tags of a revision (saved as a new revision)
+ * Author reverts to published recipes go through moderation like edits
+ */
+router.post("/:revisionNumber/revert", requireVerifiedEmail("recipes:update"), revertRevision);
+
+export default router;
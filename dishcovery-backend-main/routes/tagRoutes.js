@@ -0,0 +1,16 @@
+// routes/tagRoutes.js
+// ✅ Recipe tags (renaming and merging is in adminRoutes.js)
+
+import express from "express";
+import { listTags } from "../controllers/tagController.js";
+
+const router = express.Router();
+
+/**
+ * GET /api/tags
+ * All tags with the number of (approved) recipes using them, most used first
+ * Query params: type (meal | occasion | diet | technique)
+ */
+router.get("/", listTags);
+
+export default router;
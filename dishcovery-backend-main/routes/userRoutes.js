@@ -9,9 +9,20 @@ import {
   changePassword,
   updateAvatar,
   deleteAccount,
+  getSessions,
+  revokeUserSession,
+  revokeOtherUserSessions,
+  getAccessTokens,
+  createAccessToken,
+  revokeAccessToken,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
   getUserById
 } from "../controllers/userController.js";
-import { auth } from "../middleware/authMiddleware.js";
+import { auth, authWithScope } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
@@ -40,21 +51,22 @@ const upload = multer({
 /**
  * GET /api/users/me
  * Get current user profile with stats
- * Requires: auth token
+ * Requires: auth token (or access token with profile:read)
  */
-router.get("/me", auth, getCurrentUser);
+router.get("/me", authWithScope("profile:read"), getCurrentUser);
 
 /**
  * PUT /api/users/me
- * Update user profile (firstName, lastName, email)
+ * Update user profile (firstName, lastName, email, preferred units)
  * Requires: auth token
- * Body: { firstName?, lastName?, email? }
+ * Body: { firstName?, lastName?, email?, preferredUnits?: "original" | "metric" | "imperial",
+ *         excludedAllergens?: ["peanuts", ...], diet?: "vegetarian" | "vegan" | "halal" | "pescatarian" | null }
  */
 router.put("/me", auth, updateProfile);
 
 /**
  * PUT /api/users/me/password
- * Change user password
+ * Change user password (signs out all other sessions)
  * Requires: auth token
  * Body: { oldPassword, newPassword }
  */
@@ -70,12 +82,107 @@ router.put("/me/avatar", auth, upload.single("profileImage"), updateAvatar);
 
 /**
  * DELETE /api/users/me
- * Delete user account
+ * Delete user account (moved to the trash with your recipes; an admin can
+ * restore it until the retention period ends, your reviews are removed)
  * Requires: auth token
  * Body: { password }
  */
 router.delete("/me", auth, deleteAccount);
 
+// ============================================
+// Sessions / devices
+// ============================================
+
+/**
+ * GET /api/users/me/sessions
+ * List active sessions (device, IP, created, last seen, current)
+ * Requires: auth token
+ */
+router.get("/me/sessions", auth, getSessions);
+
+/**
+ * DELETE /api/users/me/sessions
+ * Sign out everywhere except the current session
+ * Requires: auth token
+ */
+router.delete("/me/sessions", auth, revokeOtherUserSessions);
+
+/**
+ * DELETE /api/users/me/sessions/:id
+ * Sign out a single session
+ * Requires: auth token
+ */
+router.delete("/me/sessions/:id", auth, revokeUserSession);
+
+// ============================================
+// Personal access tokens (login sessions only)
+// ============================================
+
+/**
+ * GET /api/users/me/tokens
+ * List active personal access tokens and the available scopes
+ * Requires: auth token
+ */
+router.get("/me/tokens", auth, getAccessTokens);
+
+/**
+ * POST /api/users/me/tokens
+ * Create a token - the token value is only returned once
+ * Requires: auth token
+ * Body: { name, scopes: ["recipes:write", ...], expiresInDays? (default 90, max 365) }
+ */
+router.post("/me/tokens", auth, createAccessToken);
+
+/**
+ * DELETE /api/users/me/tokens/:id
+ * Revoke a token
+ * Requires: auth token
+ */
+router.delete("/me/tokens/:id", auth, revokeAccessToken);
+
+// ============================================
+// Two-factor authentication (TOTP)
+// ============================================
+
+/**
+ * GET /api/users/me/2fa
+ * Two-factor status (enabled, recovery codes left, required by policy)
+ * Requires: auth token
+ */
+router.get("/me/2fa", auth, getTwoFactorStatus);
+
+/**
+ * POST /api/users/me/2fa/setup
+ * Start enrolment - returns the secret and an otpauth:// provisioning URI
+ * Requires: auth token
+ * Body: { password }
+ */
+router.post("/me/2fa/setup", auth, setupTwoFactor);
+
+/**
+ * POST /api/users/me/2fa/confirm
+ * Enable 2FA with a first code - returns one-time recovery codes
+ * Requires: auth token
+ * Body: { code }
+ */
+router.post("/me/2fa/confirm", auth, confirmTwoFactor);
+
+/**
+ * POST /api/users/me/2fa/recovery-codes
+ * Replace all recovery codes
+ * Requires: auth token
+ * Body: { password, code }
+ */
+router.post("/me/2fa/recovery-codes", auth, regenerateRecoveryCodes);
+
+/**
+ * DELETE /api/users/me/2fa
+ * Disable 2FA (not allowed when the policy requires it)
+ * Requires: auth token
+ * Body: { password, code | recoveryCode }
+ */
+router.delete("/me/2fa", auth, disableTwoFactor);
+
 // ============================================
 // Public Routes
 // ============================================
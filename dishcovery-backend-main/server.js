@@ -4,9 +4,20 @@ import dotenv from "dotenv";
 import cors from "cors";
 import authRoutes from "./routes/authRoutes.js";
 import recipeRoutes from "./routes/recipeRoutes.js";
+import reviewRoutes from "./routes/reviewRoutes.js";
+import revisionRoutes from "./routes/revisionRoutes.js";
 import userRoutes from "./routes/userRoutes.js";
 import favoriteRoutes from "./routes/favoriteRoutes.js";
+import adminRoutes from "./routes/adminRoutes.js";
+import moderationRoutes from "./routes/moderationRoutes.js";
+import tagRoutes from "./routes/tagRoutes.js";
+import categoryRoutes from "./routes/categoryRoutes.js";
 import sequelize from "./models/index.js";
+import { ensureSearchIndex } from "./utils/recipeSearch.js";
+import { syncSchema } from "./utils/schema.js";
+import { ensureDefaultCategories } from "./utils/categories.js";
+import { scheduleTrashPurge } from "./utils/trash.js";
+import { detectMissingAllergens } from "./utils/allergens.js";
 
 // Load environment variables
 dotenv.config();
@@ -23,6 +34,9 @@ if (missingEnvVars.length > 0) {
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Render sits behind a proxy - needed for the real client IP in req.ip
+app.set('trust proxy', 1);
+
 // ============================================
 // CORS Configuration - Mobile App Compatible
 // ============================================
@@ -64,9 +78,15 @@ app.use((req, res, next) => {
 // Routes
 // ============================================
 app.use("/api/auth", authRoutes);
+app.use("/api/recipes/:recipeId/reviews", reviewRoutes);
+app.use("/api/recipes/:recipeId/revisions", revisionRoutes);
 app.use("/api/recipes", recipeRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/favorites", favoriteRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/moderation", moderationRoutes);
+app.use("/api/tags", tagRoutes);
+app.use("/api/categories", categoryRoutes);
 
 // ============================================
 // Health Check & API Info Endpoints
@@ -84,6 +104,11 @@ app.get("/", (req, res) => {
       auth: {
         signup: "POST /api/auth/signup",
         login: "POST /api/auth/login",
+        loginTwoFactor: "POST /api/auth/login/2fa",
+        refresh: "POST /api/auth/refresh",
+        logout: "POST /api/auth/logout",
+        verifyEmail: "GET /api/auth/verify-email?token=",
+        resendVerification: "POST /api/auth/resend-verification (authenticated)",
         forgotPassword: "POST /api/auth/forgot-password",
         resetPassword: "POST /api/auth/reset-password"
       },
@@ -93,23 +118,94 @@ app.get("/", (req, res) => {
         changePassword: "PUT /api/users/me/password (authenticated)",
         updateAvatar: "PUT /api/users/me/avatar (authenticated)",
         deleteAccount: "DELETE /api/users/me (authenticated)",
+        sessions: "GET /api/users/me/sessions (authenticated)",
+        revokeSession: "DELETE /api/users/me/sessions/:id (authenticated)",
+        revokeOtherSessions: "DELETE /api/users/me/sessions (authenticated)",
+        accessTokens: "GET /api/users/me/tokens (authenticated)",
+        createAccessToken: "POST /api/users/me/tokens (authenticated)",
+        revokeAccessToken: "DELETE /api/users/me/tokens/:id (authenticated)",
+        twoFactor: "GET /api/users/me/2fa (authenticated)",
+        twoFactorSetup: "POST /api/users/me/2fa/setup (authenticated)",
+        twoFactorConfirm: "POST /api/users/me/2fa/confirm (authenticated)",
+        twoFactorRecoveryCodes: "POST /api/users/me/2fa/recovery-codes (authenticated)",
+        twoFactorDisable: "DELETE /api/users/me/2fa (authenticated)",
         getUser: "GET /api/users/:id"
       },
       recipes: {
-        list: "GET /api/recipes",
+        list: "GET /api/recipes?q=&category=&tags=&tagMatch=any|all&minRating=&maxCookingTime=&excludeAllergens=&diet=&page=&limit=",
+        byIngredients: "GET /api/recipes/by-ingredients?have=yam,egg&include=&exclude=&maxMissing=",
         create: "POST /api/recipes (authenticated)",
-        get: "GET /api/recipes/:id",
+        get: "GET /api/recipes/:id?servings=&units=metric|imperial|original",
         update: "PUT /api/recipes/:id (authenticated)",
         delete: "DELETE /api/recipes/:id (authenticated)",
-        userRecipes: "GET /api/recipes/user/:userId"
+        publish: "POST /api/recipes/:id/publish (authenticated)",
+        unpublish: "POST /api/recipes/:id/unpublish (authenticated)",
+        archive: "POST /api/recipes/:id/archive (authenticated)",
+        fork: "POST /api/recipes/:id/fork (authenticated)",
+        trash: "GET /api/recipes/trash (authenticated)",
+        restore: "POST /api/recipes/:id/restore (authenticated)",
+        forks: "GET /api/recipes/:id/forks",
+        userRecipes: "GET /api/recipes/user/:userId?status=draft|published|archived"
+      },
+      reviews: {
+        list: "GET /api/recipes/:recipeId/reviews?sort=newest&page=&limit=",
+        create: "POST /api/recipes/:recipeId/reviews (authenticated)",
+        update: "PUT /api/recipes/:recipeId/reviews/:reviewId (authenticated)",
+        delete: "DELETE /api/recipes/:recipeId/reviews/:reviewId (authenticated)"
+      },
+      revisions: {
+        list: "GET /api/recipes/:recipeId/revisions (author or editor)",
+        diff: "GET /api/recipes/:recipeId/revisions/diff?from=&to= (author or editor)",
+        get: "GET /api/recipes/:recipeId/revisions/:revisionNumber (author or editor)",
+        revert: "POST /api/recipes/:recipeId/revisions/:revisionNumber/revert (author or editor)"
+      },
+      tags: {
+        list: "GET /api/tags?type=meal|occasion|diet|technique"
+      },
+      categories: {
+        tree: "GET /api/categories"
       },
       favorites: {
         list: "GET /api/favorites (authenticated)",
         toggle: "POST /api/favorites/:recipeId/toggle (authenticated)"
+      },
+      admin: {
+        users: "GET /api/admin/users?q=&role=&status=&page=&limit= (admin)",
+        changeRole: "PUT /api/admin/users/:id/role (admin)",
+        makeAdmin: "PUT /api/admin/users/:id/make-admin (admin)",
+        deleteUser: "DELETE /api/admin/users/:id (admin)",
+        restoreUser: "POST /api/admin/users/:id/restore (admin)",
+        deletedUsers: "GET /api/admin/users?deleted=true (admin)",
+        suspendUser: "PUT /api/admin/users/:id/suspension (moderator)",
+        liftSuspension: "DELETE /api/admin/users/:id/suspension (moderator)",
+        deleteRecipe: "DELETE /api/admin/recipes/:id (moderator)",
+        updateTag: "PUT /api/admin/tags/:id (admin)",
+        mergeTag: "POST /api/admin/tags/:id/merge (admin)",
+        createCategory: "POST /api/admin/categories (admin)",
+        updateCategory: "PUT /api/admin/categories/:id (admin)",
+        deleteCategory: "DELETE /api/admin/categories/:id (admin)",
+        stats: "GET /api/admin/stats?days=30 (admin)",
+        twoFactorSettings: "GET /api/admin/settings/two-factor (admin)",
+        updateTwoFactorSettings: "PUT /api/admin/settings/two-factor (admin)",
+        moderationSettings: "GET /api/admin/settings/moderation (admin)",
+        updateModerationSettings: "PUT /api/admin/settings/moderation (admin)",
+        trashSettings: "GET /api/admin/settings/trash (admin)",
+        updateTrashSettings: "PUT /api/admin/settings/trash (admin)",
+        auditLogs: "GET /api/admin/audit-logs?actorId=&action=&targetType=&targetId=&from=&to=&page=&limit= (admin)",
+        exportAuditLogs: "GET /api/admin/audit-logs/export (admin, CSV)"
+      },
+      moderation: {
+        queue: "GET /api/moderation/recipes?status=pending&page=&limit= (moderator)",
+        approve: "POST /api/moderation/recipes/:id/approve (moderator)",
+        reject: "POST /api/moderation/recipes/:id/reject (moderator)",
+        requestChanges: "POST /api/moderation/recipes/:id/request-changes (moderator)",
+        trustUser: "PUT /api/moderation/users/:id/trusted (moderator)"
       }
     },
     documentation: {
       note: "All authenticated endpoints require 'Authorization: Bearer <token>' header",
+      tokens: "Access tokens expire after 15 minutes - exchange the refreshToken at POST /api/auth/refresh",
+      personalAccessTokens: "Scripts can use 'Authorization: Bearer dcv_pat_...' on endpoints that accept a scope",
       baseUrl: "https://dishcovery-backend-ln31.onrender.com/api"
     }
   });
@@ -134,7 +230,11 @@ app.get("/api/test", (req, res) => {
       userRoutes: "mounted at /api/users",
       authRoutes: "mounted at /api/auth",
       recipeRoutes: "mounted at /api/recipes",
-      favoriteRoutes: "mounted at /api/favorites"
+      favoriteRoutes: "mounted at /api/favorites",
+      adminRoutes: "mounted at /api/admin",
+      moderationRoutes: "mounted at /api/moderation",
+      tagRoutes: "mounted at /api/tags",
+      categoryRoutes: "mounted at /api/categories"
     }
   });
 });
@@ -156,11 +256,27 @@ app.use((req, res) => {
       "GET /api/test",
       "POST /api/auth/signup",
       "POST /api/auth/login",
+      "POST /api/auth/login/2fa",
+      "POST /api/auth/refresh",
+      "POST /api/auth/logout",
+      "GET /api/auth/verify-email",
+      "POST /api/auth/resend-verification (authenticated)",
+      "POST /api/auth/forgot-password",
+      "POST /api/auth/reset-password",
       "GET /api/users/me (authenticated)",
       "PUT /api/users/me (authenticated)",
       "PUT /api/users/me/password (authenticated)",
       "GET /api/recipes",
+      "GET /api/recipes/by-ingredients?have=",
       "POST /api/recipes (authenticated)",
+      "POST /api/recipes/:id/publish (authenticated)",
+      "POST /api/recipes/:id/fork (authenticated)",
+      "GET /api/recipes/trash (authenticated)",
+      "GET /api/recipes/:recipeId/reviews",
+      "POST /api/recipes/:recipeId/reviews (authenticated)",
+      "GET /api/recipes/:recipeId/revisions (authenticated)",
+      "GET /api/tags",
+      "GET /api/categories",
       "GET /api/favorites (authenticated)",
       "POST /api/favorites/:id/toggle (authenticated)"
     ]
@@ -256,22 +372,41 @@ const startServer = async () => {
     // Sync models with safer options for production
     console.log("\n🔄 Syncing database models...");
     
-    const syncOptions = {
-      // In production, only alter if NODE_ENV explicitly says so
-      // Otherwise, just check tables exist
-      alter: process.env.NODE_ENV === 'development',
-      force: false // NEVER use force: true - it deletes all data!
-    };
-    
-    await sequelize.sync(syncOptions);
+    // In production, only create missing tables: new columns are added
+    // by npm run db:migrate (see utils/schema.js)
+    const { grandfatheredUsers } = await syncSchema({ alter: process.env.NODE_ENV === 'development' });
     console.log("✅ Database models synced");
 
+    if (grandfatheredUsers > 0) {
+      console.log(`✅ ${grandfatheredUsers} existing users marked as verified`);
+    }
+
+    await ensureSearchIndex();
+    console.log("✅ Recipe search index ready");
+
+    if (await ensureDefaultCategories()) {
+      console.log("✅ Default recipe categories created");
+    }
+
+    // Recipes from before allergen detection (or seeded directly) get their flags
+    const detected = await detectMissingAllergens();
+    if (detected > 0) {
+      console.log(`✅ Allergens detected for ${detected} recipes`);
+    }
+
+    // Permanently delete trash older than the retention period
+    scheduleTrashPurge();
+
     // Log all registered routes
     console.log("\n📍 Registered Routes:");
     console.log("   Auth: /api/auth/*");
     console.log("   Users: /api/users/* (✅ NEW)");
     console.log("   Recipes: /api/recipes/*");
     console.log("   Favorites: /api/favorites/*");
+    console.log("   Admin: /api/admin/*");
+    console.log("   Moderation: /api/moderation/*");
+    console.log("   Tags: /api/tags");
+    console.log("   Categories: /api/categories");
 
     // Start server - bind to 0.0.0.0 for Render
     const server = app.listen(PORT, '0.0.0.0', () => {
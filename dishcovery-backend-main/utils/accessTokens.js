@@ -0,0 +1,58 @@
+// utils/accessTokens.js - Personal access tokens (dcv_pat_...)
+import { Op } from "sequelize";
+import { PersonalAccessToken } from "../models/index.js";
+import { createOpaqueToken, hashToken } from "./tokens.js";
+
+export const PAT_PREFIX = 'dcv_pat_';
+
+// lastUsedAt is written at most once per minute per token
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Whether a bearer token is a personal access token (vs. a JWT)
+ * @param {string} token
+ * @returns {boolean}
+ */
+export const isPersonalAccessToken = (token) => String(token).startsWith(PAT_PREFIX);
+
+/**
+ * Generate a new personal access token
+ * @returns {{ token: string, tokenHash: string, tokenPrefix: string }}
+ */
+export const generatePersonalAccessToken = () => {
+  const { token: random } = createOpaqueToken(20);
+  const token = `${PAT_PREFIX}${random}`;
+  return {
+    token,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, PAT_PREFIX.length + 6)
+  };
+};
+
+/**
+ * Load a token that is neither revoked nor expired
+ * @param {string} rawToken
+ * @returns {Promise<object|null>}
+ */
+export const findActivePersonalAccessToken = async (rawToken) => {
+  return PersonalAccessToken.findOne({
+    where: {
+      tokenHash: hashToken(rawToken),
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+};
+
+/**
+ * Record token usage, without a write on every request
+ * @param {object} accessToken - PersonalAccessToken instance
+ * @param {string} [ip]
+ */
+export const touchPersonalAccessToken = (accessToken, ip) => {
+  const now = Date.now();
+  if (accessToken.lastUsedAt && now - accessToken.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) return;
+
+  accessToken.update({ lastUsedAt: new Date(now), lastUsedIp: ip || null })
+    .catch(err => console.error('Access token touch error:', err.message));
+};
@@ -0,0 +1,169 @@
+// utils/allergens.js - Allergens and diets of recipes
+/**
+ * Every recipe stores the flags it "contains" (allergens plus the dietary
+ * markers from config/allergens.js), detected from its ingredients and
+ * corrected by the author through allergenOverrides:
+ *   { add: ["sesame"], remove: ["gluten"] }
+ * Allergens and compatible diets are derived from those flags.
+ * Recipes that have not been through detection yet (created before allergen
+ * filtering, or seeded directly) have contains = NULL: they are detected at
+ * startup and never pass an allergen/diet filter until then.
+ */
+import { Op } from "sequelize";
+import { Recipe } from "../models/index.js";
+import { ALLERGENS, DIETARY_MARKERS, DIETS, INGREDIENT_FLAGS } from "../config/allergens.js";
+import { parseIngredientTerms, ingredientMatchesTerm } from "./ingredientMatching.js";
+import { toStructuredIngredients } from "./ingredients.js";
+
+export const FLAGS = [...Object.keys(ALLERGENS), ...Object.keys(DIETARY_MARKERS)];
+export const EMPTY_OVERRIDES = { add: [], remove: [] };
+
+// Keywords in the same form as search terms ("prawns" → "prawn")
+const KEYWORDS = Object.entries(INGREDIENT_FLAGS).map(([keyword, flags]) => ({
+  term: parseIngredientTerms(keyword)[0],
+  flags
+}));
+
+const isCoveredBy = (term, longer) => {
+  const longerWords = longer.split(' ');
+  return longerWords.length > term.split(' ').length && term.split(' ').every(word => longerWords.includes(word));
+};
+
+/**
+ * Flags of a single ingredient name
+ * @param {string} name - e.g. "peanut butter"
+ * @returns {string[]}
+ */
+export const flagsForIngredient = (name) => {
+  const matches = KEYWORDS.filter(({ term }) => ingredientMatchesTerm(name, term));
+  // The most specific keyword wins ("coconut milk" over "milk")
+  return matches
+    .filter(match => !matches.some(other => isCoveredBy(match.term, other.term)))
+    .flatMap(match => match.flags);
+};
+
+/**
+ * Flags of a recipe: detected from ingredients, then author overrides
+ * @param {object[]} ingredients - Structured ingredients
+ * @param {object} [overrides] - { add, remove }
+ * @returns {string[]} - Sorted, unique
+ */
+export const resolveContains = (ingredients, overrides = EMPTY_OVERRIDES) => {
+  const flags = new Set(ingredients.flatMap(({ name }) => flagsForIngredient(name)));
+  (overrides.add || []).forEach(flag => flags.add(flag));
+  (overrides.remove || []).forEach(flag => flags.delete(flag));
+  return [...flags].sort();
+};
+
+/**
+ * Allergens among a recipe's flags
+ * @param {string[]|null} contains
+ * @returns {string[]|null} - null while not detected yet
+ */
+export const allergensOf = (contains = []) => {
+  if (!contains) return null;
+  return contains.filter(flag => Object.hasOwn(ALLERGENS, flag));
+};
+
+/**
+ * Diets a recipe fits
+ * @param {string[]|null} contains
+ * @returns {string[]|null} - null while not detected yet
+ */
+export const dietsOf = (contains = []) => {
+  if (!contains) return null;
+  return Object.keys(DIETS).filter(diet => !DIETS[diet].some(flag => contains.includes(flag)));
+};
+
+/**
+ * Detect the flags of recipes that have none stored yet (contains IS NULL)
+ * @returns {Promise<number>} - Number of recipes detected
+ */
+export const detectMissingAllergens = async () => {
+  const recipes = await Recipe.findAll({
+    where: { contains: null },
+    attributes: ['id', 'ingredients', 'allergenOverrides'],
+    paranoid: false
+  });
+
+  for (const recipe of recipes) {
+    const contains = resolveContains(toStructuredIngredients(recipe.ingredients), recipe.allergenOverrides || EMPTY_OVERRIDES);
+    // silent: keeps updatedAt, this is not an edit by the author
+    await recipe.update({ contains }, { silent: true });
+  }
+
+  return recipes.length;
+};
+
+// "Peanut", "tree nuts", "tree-nuts" → known key, or null
+const normalizeFlag = (value) => {
+  const key = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (FLAGS.includes(key)) return key;
+  if (FLAGS.includes(`${key}s`)) return `${key}s`;
+  return null;
+};
+
+/**
+ * Read an allergen list from a query string or a profile update
+ * @param {string|string[]} value - "peanuts,shellfish" or an array
+ * @returns {{ allergens?: string[], error?: string }}
+ */
+export const parseAllergenList = (value) => {
+  const raw = (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+
+  const allergens = [];
+  for (const entry of raw) {
+    const key = normalizeFlag(entry);
+    if (!key || !(key in ALLERGENS)) {
+      return { error: `Unknown allergen "${entry}". Use: ${Object.keys(ALLERGENS).join(', ')}` };
+    }
+    if (!allergens.includes(key)) allergens.push(key);
+  }
+
+  return { allergens };
+};
+
+/**
+ * Validate author overrides from a create/update request
+ * @param {object} input - { add: [...], remove: [...] }
+ * @returns {{ overrides?: object, error?: string }}
+ */
+export const normalizeAllergenOverrides = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'allergenOverrides must be an object like { "add": ["sesame"], "remove": ["gluten"] }' };
+  }
+
+  const overrides = { add: [], remove: [] };
+  for (const field of ['add', 'remove']) {
+    const list = input[field] ?? [];
+    if (!Array.isArray(list)) return { error: `allergenOverrides.${field} must be an array` };
+
+    for (const entry of list) {
+      const key = normalizeFlag(entry);
+      if (!key) return { error: `Unknown flag "${entry}". Use: ${FLAGS.join(', ')}` };
+      if (!overrides[field].includes(key)) overrides[field].push(key);
+    }
+  }
+
+  const conflict = overrides.add.find(flag => overrides.remove.includes(flag));
+  if (conflict) return { error: `"${conflict}" cannot be both added and removed` };
+
+  return { overrides };
+};
+
+/**
+ * Where condition hiding recipes with the given allergens or outside a diet.
+ * Recipes not detected yet are hidden too: they are not known to be safe.
+ * @param {{ excludeAllergens: string[], diet: string|null }} filters
+ * @returns {object|null} - For [Op.and], null when there is nothing to filter
+ */
+export const dietaryCondition = ({ excludeAllergens = [], diet = null }) => {
+  const flags = [...new Set([...excludeAllergens, ...(diet ? DIETS[diet] : [])])];
+  if (flags.length === 0) return null;
+  return {
+    contains: { [Op.ne]: null },
+    [Op.not]: { contains: { [Op.overlap]: flags } }
+  };
+};
@@ -0,0 +1,70 @@
+// utils/audit.js - Write entries to the audit log
+import { AuditLog } from "../models/index.js";
+
+// Never copied into the log, even when they change
+const REDACTED_FIELDS = [
+  'password',
+  'twoFactorSecret',
+  'twoFactorRecoveryCodes',
+  'twoFactorLastUsedStep',
+  'tokenHash'
+];
+
+const plain = (value) => (value && typeof value.toJSON === 'function' ? value.toJSON() : value);
+
+/**
+ * Field-level difference between two versions of a record
+ * @param {object} before - Record (or plain object) before the change
+ * @param {object} after - Record (or plain object) after the change
+ * @returns {{ before: object, after: object }|null} - Changed fields only, null if nothing changed
+ */
+export const diffChanges = (before, after) => {
+  const oldValues = plain(before) || {};
+  const newValues = plain(after) || {};
+  const diff = { before: {}, after: {} };
+
+  const fields = new Set([...Object.keys(oldValues), ...Object.keys(newValues)]);
+  for (const field of fields) {
+    if (field === 'updatedAt') continue;
+    if (JSON.stringify(oldValues[field]) === JSON.stringify(newValues[field])) continue;
+
+    const redacted = REDACTED_FIELDS.includes(field);
+    diff.before[field] = redacted ? '[redacted]' : oldValues[field];
+    diff.after[field] = redacted ? '[redacted]' : newValues[field];
+  }
+
+  return Object.keys(diff.after).length > 0 ? diff : null;
+};
+
+/**
+ * Record an action. Failures are logged but never break the request.
+ * @param {object} req - Express request (actor, IP and user agent come from here)
+ * @param {object} entry
+ * @param {string} entry.action - e.g. 'recipe.update'
+ * @param {string} [entry.targetType] - e.g. 'recipe'
+ * @param {number|string} [entry.targetId]
+ * @param {object} [entry.before] - Previous state, diffed against entry.after
+ * @param {object} [entry.after] - New state
+ * @param {object} [entry.metadata] - Anything else worth keeping
+ * @param {object} [entry.actor] - Acting user when req.user is not set (e.g. login)
+ */
+export const recordAudit = async (req, { action, targetType, targetId, before, after, metadata, actor }) => {
+  try {
+    const actingUser = actor || req.user || null;
+    const changes = before || after ? diffChanges(before, after) : null;
+
+    await AuditLog.create({
+      actorId: actingUser?.id ?? null,
+      actorEmail: actingUser?.email ?? null,
+      action,
+      targetType: targetType || null,
+      targetId: targetId !== undefined && targetId !== null ? String(targetId) : null,
+      changes,
+      metadata: metadata || null,
+      ipAddress: req.ip || null,
+      userAgent: req.get ? req.get('user-agent') || null : null
+    });
+  } catch (error) {
+    console.error(`❌ Audit log error (${action}):`, error.message);
+  }
+};
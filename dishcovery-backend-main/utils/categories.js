@@ -0,0 +1,176 @@
+// utils/categories.js - Cuisine hierarchy lookups
+/**
+ * The tree is small (a few dozen rows), so it is loaded whole and walked in
+ * memory instead of with recursive SQL.
+ * A category can be referred to by id, slug, name or one of the aliases in
+ * config/categories.js: 12, "yoruba", "Yoruba", "South West".
+ */
+import { Op } from "sequelize";
+import sequelize, { Category, Recipe } from "../models/index.js";
+import { DEFAULT_CATEGORIES } from "../config/categories.js";
+import { slugify } from "./slugify.js";
+import { PUBLIC_RECIPE_WHERE } from "./recipeStatus.js";
+
+export const CATEGORY_ATTRIBUTES = ['id', 'name', 'slug', 'parentId'];
+
+// Alias slug → category slug ("calabar" → "efik")
+const ALIASES = (() => {
+  const aliases = {};
+  const walk = (nodes) => nodes.forEach(({ name, aliases: names = [], children = [] }) => {
+    names.forEach(alias => { aliases[slugify(alias)] = slugify(name); });
+    walk(children);
+  });
+  walk(DEFAULT_CATEGORIES);
+  return aliases;
+})();
+
+/**
+ * Every category as a plain object
+ * @param {object} [transaction]
+ * @returns {Promise<object[]>} - [{ id, name, slug, parentId }]
+ */
+export const loadCategories = async (transaction) => {
+  return Category.findAll({
+    attributes: CATEGORY_ATTRIBUTES,
+    order: [['name', 'ASC']],
+    raw: true,
+    transaction
+  });
+};
+
+/**
+ * Find a category by id, slug, name or alias
+ * @param {object[]} categories - From loadCategories()
+ * @param {string|number} value
+ * @returns {object|null}
+ */
+export const findCategory = (categories, value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  if (/^\d+$/.test(String(value))) {
+    return categories.find(category => category.id === parseInt(value)) || null;
+  }
+
+  const slug = slugify(value);
+  if (!slug) return null;
+  return categories.find(category => category.slug === slug)
+    || categories.find(category => slugify(category.name) === slug)
+    || categories.find(category => category.slug === ALIASES[slug])
+    || null;
+};
+
+/**
+ * A category and all categories below it
+ * @param {object[]} categories
+ * @param {number} id
+ * @returns {number[]}
+ */
+export const descendantIds = (categories, id) => {
+  const ids = [id];
+  for (let i = 0; i < ids.length; i++) {
+    categories
+      .filter(category => category.parentId === ids[i])
+      .forEach(child => ids.push(child.id));
+  }
+  return ids;
+};
+
+/**
+ * Breadcrumb from the top-level cuisine down to the category
+ * @param {object[]} categories
+ * @param {number} id
+ * @returns {object[]} - [{ id, name, slug }]
+ */
+export const categoryPath = (categories, id) => {
+  const path = [];
+  let current = categories.find(category => category.id === id);
+  while (current && path.length < categories.length) {
+    path.unshift({ id: current.id, name: current.name, slug: current.slug });
+    current = categories.find(category => category.id === current.parentId);
+  }
+  return path;
+};
+
+/**
+ * Nested tree with recipe counts
+ * @param {object[]} categories
+ * @param {Object<number, number>} counts - categoryId → recipes directly in it
+ * @returns {object[]} - Top-level categories with children, recipeCount
+ *                       and totalRecipeCount (including descendants)
+ */
+export const buildCategoryTree = (categories, counts = {}) => {
+  const build = (parentId) => categories
+    .filter(category => category.parentId === parentId)
+    .map(category => {
+      const children = build(category.id);
+      const recipeCount = counts[category.id] || 0;
+      return {
+        ...category,
+        recipeCount,
+        totalRecipeCount: recipeCount + children.reduce((sum, child) => sum + child.totalRecipeCount, 0),
+        children
+      };
+    });
+
+  return build(null);
+};
+
+/**
+ * Number of published, approved recipes per category
+ * @returns {Promise<Object<number, number>>}
+ */
+export const countRecipesByCategory = async () => {
+  const rows = await Recipe.findAll({
+    attributes: ['categoryId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    where: { ...PUBLIC_RECIPE_WHERE, categoryId: { [Op.ne]: null } },
+    group: ['categoryId'],
+    raw: true
+  });
+  return Object.fromEntries(rows.map(row => [row.categoryId, parseInt(row.count)]));
+};
+
+/**
+ * Where condition for ?category=: the category and its descendants,
+ * or the plain category name when it is not in the hierarchy
+ * @param {string} value
+ * @returns {Promise<object>} - Fields to merge into a Recipe where
+ */
+export const categoryCondition = async (value) => {
+  const categories = await loadCategories();
+  const category = findCategory(categories, value);
+  if (!category) return { category: value };
+  return { categoryId: { [Op.in]: descendantIds(categories, category.id) } };
+};
+
+/**
+ * Whether moving a category under newParentId would make a loop
+ * @param {object[]} categories
+ * @param {number} id
+ * @param {number|null} newParentId
+ * @returns {boolean}
+ */
+export const wouldCreateCycle = (categories, id, newParentId) => {
+  if (newParentId === null) return false;
+  return descendantIds(categories, id).includes(newParentId);
+};
+
+/**
+ * Create the default hierarchy from config/categories.js on an empty table.
+ * Called once at startup, after sequelize.sync().
+ * @returns {Promise<boolean>} - Whether anything was created
+ */
+export const ensureDefaultCategories = async () => {
+  if (await Category.count() > 0) return false;
+
+  await sequelize.transaction(async (transaction) => {
+    const create = async (nodes, parentId) => {
+      for (const { name, children = [] } of nodes) {
+        const category = await Category.create({ name, slug: slugify(name), parentId }, { transaction });
+        await create(children, category.id);
+      }
+    };
+    await create(DEFAULT_CATEGORIES, null);
+  });
+
+  return true;
+};
@@ -0,0 +1,45 @@
+// utils/emailVerification.js - Issue and email verification links
+import { UserToken } from "../models/index.js";
+import { createOpaqueToken } from "./tokens.js";
+import { sendMail } from "./mailer.js";
+
+// Verification links stay valid for 24 hours unless configured otherwise
+export const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+/**
+ * Create a fresh verification token for the user and email it.
+ * Older, unused verification links are invalidated.
+ * @param {object} user - User instance (uses id, email, firstName)
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async (user) => {
+  await UserToken.update(
+    { usedAt: new Date() },
+    { where: { userId: user.id, purpose: 'email_verification', usedAt: null } }
+  );
+
+  const { token, tokenHash } = createOpaqueToken();
+  await UserToken.create({
+    userId: user.id,
+    purpose: 'email_verification',
+    tokenHash,
+    expiresAt: new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  const baseUrl = process.env.EMAIL_VERIFICATION_URL || 'http://localhost:5000/api/auth/verify-email';
+  const verifyUrl = `${baseUrl}?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Dishcovery email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Welcome to Dishcovery! Please confirm your email address by opening this link:',
+      verifyUrl,
+      '',
+      `The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  });
+};
@@ -0,0 +1,102 @@
+// utils/ingredientMatching.js - Match recipe ingredients against what a user has
+/**
+ * Used by "What can I cook?" (GET /api/recipes/by-ingredients).
+ * A term matches an ingredient when every word of the term appears in the
+ * ingredient name, ignoring case and plurals:
+ *   "tomato" matches "tomatoes", "pepper" matches "scotch bonnet peppers",
+ *   "bell pepper" does not match "scotch bonnet peppers"
+ * Ingredients noted as optional are never counted as missing.
+ */
+const MAX_TERMS = 30;
+const MAX_TERM_LENGTH = 50;
+
+// Very small English singularizer, good enough for ingredient names
+const singular = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('oes')) return word.slice(0, -2);
+  if (/(s|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+};
+
+/**
+ * Part of a singular word its plural also contains, for substring searches
+ * ("cherry" → "cherr", found in "cherries"; "tomato" is in "tomatoes" as is)
+ * @param {string} word - Singular word from parseIngredientTerms()
+ * @returns {string}
+ */
+export const wordStem = (word) => (word.length > 3 && /[^aeiou]y$/.test(word) ? word.slice(0, -1) : word);
+
+const words = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .map(singular);
+
+/**
+ * Read an ingredient list from the query string
+ * @param {string|string[]} value - "yam,egg,tomato" or ?have=yam&have=egg
+ * @returns {string[]} - Cleaned terms, lowercased and singular ("tomato")
+ */
+export const parseIngredientTerms = (value) => {
+  if (!value) return [];
+  const raw = (Array.isArray(value) ? value : [value])
+    .flatMap(entry => String(entry).split(','));
+
+  const terms = raw
+    .map(term => words(term.slice(0, MAX_TERM_LENGTH)).join(' '))
+    .filter(Boolean);
+
+  return [...new Set(terms)].slice(0, MAX_TERMS);
+};
+
+/**
+ * Whether a term ("bell pepper") matches an ingredient name ("red bell peppers")
+ * @param {string} name - Ingredient name
+ * @param {string} term - Term from parseIngredientTerms()
+ * @returns {boolean}
+ */
+export const ingredientMatchesTerm = (name, term) => {
+  const nameWords = new Set(words(name));
+  return term.split(' ').every(word => nameWords.has(word));
+};
+
+const isOptional = (ingredient) => /\boptional\b/i.test(ingredient.note || '');
+
+/**
+ * Compare a recipe's ingredients with what the user has
+ * @param {object[]} ingredients - Structured ingredients (toStructuredIngredients)
+ * @param {string[]} have - Terms from parseIngredientTerms()
+ * @returns {{ score: number, matchedCount: number, totalCount: number,
+ *             matchedIngredients: string[], missingIngredients: string[] }}
+ */
+export const matchIngredients = (ingredients, have) => {
+  const counted = ingredients.filter(ingredient => !isOptional(ingredient));
+  const matchedIngredients = [];
+  const missingIngredients = [];
+
+  counted.forEach(({ name }) => {
+    const covered = have.some(term => ingredientMatchesTerm(name, term));
+    (covered ? matchedIngredients : missingIngredients).push(name);
+  });
+
+  const totalCount = counted.length;
+  return {
+    score: totalCount > 0 ? Math.round((matchedIngredients.length / totalCount) * 100) / 100 : 0,
+    matchedCount: matchedIngredients.length,
+    totalCount,
+    matchedIngredients,
+    missingIngredients
+  };
+};
+
+/**
+ * Whether any ingredient of the recipe matches the term
+ * @param {object[]} ingredients - Structured ingredients
+ * @param {string} term
+ * @returns {boolean}
+ */
+export const recipeHasIngredient = (ingredients, term) => {
+  return ingredients.some(({ name }) => ingredientMatchesTerm(name, term));
+};
@@ -0,0 +1,255 @@
+// utils/ingredients.js - Structured ingredients (quantity, unit, name, note, group)
+/**
+ * Ingredients are stored as objects:
+ *   { quantity: 2, unit: "cup", name: "rice", note: "washed", group: "For the rice" }
+ * quantity, unit, note and group may be null ("Salt to taste" has no quantity).
+ *
+ * Plain strings are still accepted from clients and found in older recipes;
+ * they are parsed with parseIngredientString(), e.g. "2 cups rice, washed".
+ */
+import { UNITS } from "../config/units.js";
+
+const MAX_TEXT_LENGTH = 200;
+
+const UNICODE_FRACTIONS = {
+  '½': 0.5, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 0.25, '¾': 0.75, '⅛': 0.125
+};
+
+// Every accepted spelling → canonical unit
+const UNIT_LOOKUP = Object.entries(UNITS).reduce((lookup, [unit, { aliases }]) => {
+  lookup[unit] = unit;
+  aliases.forEach(alias => { lookup[alias] = unit; });
+  return lookup;
+}, {});
+
+// "2", "1.5", "1/2", "1 1/2", "½", "1½"
+const QUANTITY_PATTERN = /^(\d+\s+\d+\/\d+|\d+\/\d+|\d+(?:\.\d+)?\s*[½⅓⅔¼¾⅛]|\d+(?:\.\d+)?|[½⅓⅔¼¾⅛])(?=\s|$|[a-zA-Z])/;
+
+/**
+ * Parse a quantity written by a person
+ * @param {string|number} value - e.g. "1 1/2", "½", "0.5", 2
+ * @returns {number|null}
+ */
+export const parseQuantity = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null;
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  let total = 0;
+  for (const part of value.trim().split(/\s+/)) {
+    const unicode = part.match(/^(\d*)([½⅓⅔¼¾⅛])$/);
+    if (unicode) {
+      total += (parseInt(unicode[1]) || 0) + UNICODE_FRACTIONS[unicode[2]];
+    } else if (/^\d+\/\d+$/.test(part)) {
+      const [numerator, denominator] = part.split('/').map(Number);
+      if (!denominator) return null;
+      total += numerator / denominator;
+    } else if (/^\d+(\.\d+)?$/.test(part)) {
+      total += parseFloat(part);
+    } else {
+      return null;
+    }
+  }
+
+  return total > 0 ? total : null;
+};
+
+/**
+ * Canonical name of a unit, or the unit as typed when it is not in config/units.js
+ * @param {string} unit
+ * @returns {string|null}
+ */
+export const normalizeUnit = (unit) => {
+  if (!unit || typeof unit !== 'string') return null;
+  const clean = unit.trim().toLowerCase().replace(/\.$/, '');
+  if (!clean) return null;
+  return UNIT_LOOKUP[clean] || clean;
+};
+
+// "Rice, washed" / "Pepper (blended)" / "Salt to taste" → name + note
+const splitNote = (text) => {
+  const parenthesis = text.match(/^(.*?)\s*\(([^)]*)\)\s*(.*)$/);
+  if (parenthesis && parenthesis[1]) {
+    const rest = parenthesis[3].replace(/^,\s*/, '');
+    return { name: parenthesis[1], note: [parenthesis[2], rest].filter(Boolean).join(', ') };
+  }
+
+  const comma = text.indexOf(',');
+  if (comma > 0) {
+    return { name: text.slice(0, comma), note: text.slice(comma + 1) };
+  }
+
+  const toTaste = text.match(/^(.*?)\s+(to taste|as needed|optional)$/i);
+  if (toTaste) {
+    return { name: toTaste[1], note: toTaste[2] };
+  }
+
+  return { name: text, note: null };
+};
+
+/**
+ * Parse a free-text ingredient line
+ * @param {string} line - e.g. "2 cups rice, washed"
+ * @returns {object} - { quantity, unit, name, note, group }
+ */
+export const parseIngredientString = (line) => {
+  let rest = String(line).trim().replace(/\s+/g, ' ');
+  let quantity = null;
+  let unit = null;
+
+  const quantityMatch = rest.match(QUANTITY_PATTERN);
+  if (quantityMatch) {
+    quantity = parseQuantity(quantityMatch[1].replace(/(\d)([½⅓⅔¼¾⅛])/, '$1 $2'));
+    rest = rest.slice(quantityMatch[0].length).trim();
+
+    // Only words right after a quantity are read as units ("2 cups rice", "3 cloves garlic")
+    const words = rest.split(' ');
+    const twoWords = words.slice(0, 2).join(' ').toLowerCase();
+    const oneWord = words[0].toLowerCase().replace(/\.$/, '');
+    if (words.length > 2 && UNIT_LOOKUP[twoWords]) {
+      unit = UNIT_LOOKUP[twoWords];
+      rest = words.slice(2).join(' ');
+    } else if (words.length > 1 && UNIT_LOOKUP[oneWord]) {
+      unit = UNIT_LOOKUP[oneWord];
+      rest = words.slice(1).join(' ');
+    }
+    rest = rest.replace(/^of\s+/i, '');
+  }
+
+  const { name, note } = splitNote(rest);
+
+  return {
+    quantity,
+    unit,
+    name: name.trim() || String(line).trim(),
+    note: note ? note.trim() || null : null,
+    group: null
+  };
+};
+
+const cleanText = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text : null;
+};
+
+/**
+ * Validate one ingredient from a client (string or object)
+ * @param {string|object} input
+ * @returns {{ ingredient?: object, error?: string }}
+ */
+export const normalizeIngredient = (input) => {
+  if (typeof input === 'string') {
+    if (!input.trim()) return { error: 'Ingredient cannot be empty' };
+    if (input.length > MAX_TEXT_LENGTH) return { error: `Ingredient "${input.slice(0, 30)}..." is too long` };
+    return { ingredient: parseIngredientString(input) };
+  }
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Each ingredient must be a string or an object with a name' };
+  }
+
+  const name = cleanText(input.name);
+  if (!name) return { error: 'Each ingredient needs a name' };
+
+  let quantity = null;
+  if (input.quantity !== undefined && input.quantity !== null && input.quantity !== '') {
+    quantity = parseQuantity(input.quantity);
+    if (quantity === null) return { error: `Invalid quantity for "${name}"` };
+  }
+
+  const ingredient = {
+    quantity,
+    unit: normalizeUnit(input.unit),
+    name,
+    note: cleanText(input.note),
+    group: cleanText(input.group)
+  };
+
+  const tooLong = ['unit', 'name', 'note', 'group'].find(field => ingredient[field] && ingredient[field].length > MAX_TEXT_LENGTH);
+  if (tooLong) return { error: `Ingredient ${tooLong} is too long` };
+
+  if (ingredient.unit && quantity === null) {
+    return { error: `"${name}" has a unit but no quantity` };
+  }
+
+  return { ingredient };
+};
+
+/**
+ * Validate the ingredient list of a recipe
+ * @param {Array} list - Strings and/or ingredient objects
+ * @param {object} [options]
+ * @param {boolean} [options.allowEmpty] - Drafts may have no ingredients yet
+ * @returns {{ ingredients?: object[], error?: string }}
+ */
+export const normalizeIngredients = (list, { allowEmpty = false } = {}) => {
+  if (allowEmpty && (list === undefined || list === null || (Array.isArray(list) && list.length === 0))) {
+    return { ingredients: [] };
+  }
+
+  if (!Array.isArray(list) || list.length === 0) {
+    return { error: 'At least one ingredient is required' };
+  }
+
+  const ingredients = [];
+  for (const [index, input] of list.entries()) {
+    const { ingredient, error } = normalizeIngredient(input);
+    if (error) return { error: `Ingredient ${index + 1}: ${error}` };
+    ingredients.push(ingredient);
+  }
+
+  return { ingredients };
+};
+
+/**
+ * Stored ingredients as objects, parsing entries saved as plain strings
+ * @param {Array} stored - Recipe.ingredients
+ * @returns {object[]}
+ */
+export const toStructuredIngredients = (stored) => {
+  if (!Array.isArray(stored)) return [];
+  return stored.map(entry => (typeof entry === 'string'
+    ? parseIngredientString(entry)
+    : { quantity: null, unit: null, note: null, group: null, ...entry }));
+};
+
+const FRACTIONS = [[0.125, '1/8'], [0.25, '1/4'], [1 / 3, '1/3'], [0.5, '1/2'], [2 / 3, '2/3'], [0.75, '3/4']];
+
+/**
+ * Display a quantity the way a cook writes it (1.5 → "1 1/2")
+ * @param {number} quantity
+ * @returns {string}
+ */
+export const formatQuantity = (quantity) => {
+  const whole = Math.floor(quantity);
+  const fraction = quantity - whole;
+  const match = FRACTIONS.find(([value]) => Math.abs(fraction - value) < 0.01);
+
+  if (fraction < 0.01) return String(whole);
+  if (match) return whole > 0 ? `${whole} ${match[1]}` : match[1];
+  return String(Math.round(quantity * 100) / 100);
+};
+
+/**
+ * One-line text of an ingredient ("2 cups rice, washed")
+ * @param {object} ingredient
+ * @returns {string}
+ */
+export const formatIngredient = ({ quantity, unit, name, note }) => {
+  const unitLabel = unit && UNITS[unit] && quantity > 1 ? UNITS[unit].plural : unit;
+  const amount = [quantity !== null && quantity !== undefined ? formatQuantity(quantity) : null, unitLabel]
+    .filter(Boolean)
+    .join(' ');
+
+  return [amount, name].filter(Boolean).join(' ') + (note ? `, ${note}` : '');
+};
+
+/**
+ * Ingredients as returned by the API: the structured fields plus the one-line
+ * text that clients written before structured ingredients display
+ * @param {object[]} ingredients - Structured ingredients
+ * @returns {object[]}
+ */
+export const withIngredientText = (ingredients) => {
+  return ingredients.map(ingredient => ({ ...ingredient, text: formatIngredient(ingredient) }));
+};
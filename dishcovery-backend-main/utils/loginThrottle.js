@@ -0,0 +1,104 @@
+// utils/loginThrottle.js - Progressive delays and lockout for failed logins
+/**
+ * Failures are counted per account (normalized email, whether or not the
+ * account exists) and per client IP, in the LoginThrottles table so the
+ * counters survive a restart.
+ *
+ * - After LOGIN_DELAY_AFTER failures every new attempt has to wait
+ *   2^(failures - LOGIN_DELAY_AFTER) seconds (max 60s)
+ * - After LOGIN_LOCKOUT_THRESHOLD failures the account is locked for
+ *   LOGIN_LOCKOUT_MINUTES, after LOGIN_IP_LOCKOUT_THRESHOLD the IP is
+ * - Counters older than LOGIN_LOCKOUT_MINUTES start over
+ */
+import { LoginThrottle } from "../models/index.js";
+
+const DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER) || 3;
+const ACCOUNT_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+const IP_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_DELAY_SECONDS = 60;
+
+export const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const delaySeconds = (failedCount) => {
+  if (failedCount < DELAY_AFTER) return 0;
+  return Math.min(2 ** (failedCount - DELAY_AFTER), MAX_DELAY_SECONDS);
+};
+
+const isStale = (row, now) => {
+  return !row.lastFailedAt || now - row.lastFailedAt > LOCKOUT_MINUTES * 60 * 1000;
+};
+
+// Seconds until this counter allows another attempt (0 = allowed)
+const secondsUntilAllowed = (row, now) => {
+  if (!row) return 0;
+
+  if (row.lockedUntil && row.lockedUntil > now) {
+    return Math.ceil((row.lockedUntil - now) / 1000);
+  }
+
+  if (isStale(row, now)) return 0;
+
+  const readyAt = row.lastFailedAt.getTime() + delaySeconds(row.failedCount) * 1000;
+  return Math.max(0, Math.ceil((readyAt - now) / 1000));
+};
+
+const findCounters = ({ email, ip }) => {
+  return Promise.all([
+    LoginThrottle.findOne({ where: { scope: 'account', key: normalizeEmail(email) } }),
+    ip ? LoginThrottle.findOne({ where: { scope: 'ip', key: ip } }) : null
+  ]);
+};
+
+/**
+ * Check whether a login attempt may be evaluated right now
+ * @param {{ email: string, ip: string }} attempt
+ * @returns {Promise<{ allowed: boolean, retryAfter: number }>}
+ */
+export const checkLoginAllowed = async (attempt) => {
+  const now = new Date();
+  const [account, ip] = await findCounters(attempt);
+  const retryAfter = Math.max(secondsUntilAllowed(account, now), secondsUntilAllowed(ip, now));
+
+  return { allowed: retryAfter === 0, retryAfter };
+};
+
+const bumpCounter = async (scope, key, lockoutThreshold, now) => {
+  const [row] = await LoginThrottle.findOrCreate({
+    where: { scope, key },
+    defaults: { failedCount: 0 }
+  });
+
+  const failedCount = isStale(row, now) ? 1 : row.failedCount + 1;
+  const lockedUntil = failedCount >= lockoutThreshold
+    ? new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000)
+    : row.lockedUntil;
+
+  if (failedCount === lockoutThreshold) {
+    console.warn(`⚠️ Login locked for ${scope} ${key} after ${failedCount} failed attempts`);
+  }
+
+  await row.update({ failedCount, lastFailedAt: now, lockedUntil });
+};
+
+/**
+ * Count a failed login for the account and the IP
+ * @param {{ email: string, ip: string }} attempt
+ */
+export const recordLoginFailure = async ({ email, ip }) => {
+  const now = new Date();
+  await bumpCounter('account', normalizeEmail(email), ACCOUNT_LOCKOUT_THRESHOLD, now);
+  if (ip) {
+    await bumpCounter('ip', ip, IP_LOCKOUT_THRESHOLD, now);
+  }
+};
+
+/**
+ * Clear the account counter (successful login or password reset).
+ * IP counters are left alone so one valid account cannot be used to
+ * reset the limit for a whole IP.
+ * @param {string} email
+ */
+export const clearLoginFailures = async (email) => {
+  await LoginThrottle.destroy({ where: { scope: 'account', key: normalizeEmail(email) } });
+};
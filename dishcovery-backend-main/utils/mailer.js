@@ -0,0 +1,88 @@
+// utils/mailer.js - Pluggable mail delivery
+/**
+ * Emails go through a named transport selected with MAIL_TRANSPORT.
+ * Built-in transports are meant for local development:
+ * - console: prints the message to stdout (default)
+ * - file: writes each message to MAIL_FILE_DIR (default: ./mail-outbox)
+ *
+ * A real provider can be plugged in at startup with registerTransport().
+ */
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FROM = 'Dishcovery <no-reply@dishcovery.app>';
+
+const transports = {
+  console: async (message) => {
+    console.log('\n📧 ' + '-'.repeat(50));
+    console.log(`   From: ${message.from}`);
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('-'.repeat(53) + '\n');
+  },
+
+  file: async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+    await fs.mkdir(dir, { recursive: true });
+
+    const safeRecipient = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+    const fileName = `${Date.now()}-${safeRecipient}.txt`;
+    const content = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      '',
+      message.text
+    ].join('\n');
+
+    await fs.writeFile(path.join(dir, fileName), content, 'utf8');
+    console.log(`📧 Email to ${message.to} written to ${path.join(dir, fileName)}`);
+  }
+};
+
+/**
+ * Register a custom transport (e.g. SMTP or an email API)
+ * @param {string} name - Value to use in MAIL_TRANSPORT
+ * @param {(message: object) => Promise<void>} send - Delivers one message
+ */
+export const registerTransport = (name, send) => {
+  if (typeof send !== 'function') {
+    throw new Error(`Mail transport "${name}" must be a function`);
+  }
+  transports[name] = send;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} [message.html] - Optional HTML body
+ * @returns {Promise<void>}
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
@@ -0,0 +1,88 @@
+// utils/moderation.js - Recipe moderation queue policy and author notifications
+import { getSetting } from "./settings.js";
+import { sendMail } from "./mailer.js";
+import { hasPermission } from "../config/permissions.js";
+
+export const MODERATION_POLICY_KEY = 'moderation.recipes';
+
+/**
+ * Read the moderation policy (off until an admin turns it on)
+ * @returns {Promise<{ enabled: boolean }>}
+ */
+export const getModerationPolicy = async () => {
+  return getSetting(MODERATION_POLICY_KEY, { enabled: false });
+};
+
+/**
+ * Whether a user's recipes go live without review
+ * (roles with recipe.publish, or users marked as trusted)
+ * @param {object} user
+ * @returns {boolean}
+ */
+export const canBypassModeration = (user) => {
+  return Boolean(user.trusted) || hasPermission(user.role, 'recipe.publish');
+};
+
+/**
+ * Status for a recipe the user has just created or edited
+ * @param {object} user - Author
+ * @returns {Promise<string>} - 'approved' or 'pending'
+ */
+export const submissionStatusFor = async (user) => {
+  if (canBypassModeration(user)) return 'approved';
+  const { enabled } = await getModerationPolicy();
+  return enabled ? 'pending' : 'approved';
+};
+
+/**
+ * Whether a user may see a recipe that is not approved (its author and moderators)
+ * @param {object|null} user - req.user, if any
+ * @param {object} recipe
+ * @returns {boolean}
+ */
+export const canViewUnapproved = (user, recipe) => {
+  if (!user) return false;
+  return user.id === recipe.userId || hasPermission(user.role, 'recipe.moderate');
+};
+
+const OUTCOME_MESSAGES = {
+  approved: {
+    subject: (name) => `Your recipe "${name}" is live`,
+    body: 'Good news: your recipe was approved and is now visible to everyone.'
+  },
+  rejected: {
+    subject: (name) => `Your recipe "${name}" was not approved`,
+    body: 'Unfortunately your recipe was not approved.'
+  },
+  changes_requested: {
+    subject: (name) => `Changes requested for "${name}"`,
+    body: 'A moderator asked for some changes. Edit the recipe and it will be reviewed again.'
+  }
+};
+
+/**
+ * Email the author about a moderation decision. Never throws.
+ * @param {object} recipe - Reviewed recipe
+ * @param {object} author - User instance (uses email, firstName)
+ */
+export const notifyModerationOutcome = async (recipe, author) => {
+  const outcome = OUTCOME_MESSAGES[recipe.moderationStatus];
+  if (!outcome || !author) return;
+
+  try {
+    await sendMail({
+      to: author.email,
+      subject: outcome.subject(recipe.name),
+      text: [
+        `Hi ${author.firstName},`,
+        '',
+        outcome.body,
+        ...(recipe.moderationNote ? ['', `Moderator note: ${recipe.moderationNote}`] : []),
+        '',
+        'The Dishcovery team'
+      ].join('\n')
+    });
+  } catch (error) {
+    console.error(`❌ Moderation email for recipe ${recipe.id} failed:`, error.message);
+  }
+};
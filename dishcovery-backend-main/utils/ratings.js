@@ -0,0 +1,76 @@
+// utils/ratings.js - Keep Recipe.rating in sync with its reviews
+import sequelize, { Recipe, Review } from "../models/index.js";
+
+/**
+ * Recompute a recipe's average rating, review count and star distribution
+ * from its reviews. Call after any review is created, changed or deleted.
+ * @param {number} recipeId
+ * @param {object} [transaction]
+ * @returns {Promise<{ rating: number, ratingCount: number, ratingDistribution: object }>}
+ */
+export const refreshRecipeRating = async (recipeId, transaction) => {
+  const rows = await Review.findAll({
+    where: { recipeId },
+    attributes: ['rating', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['rating'],
+    raw: true,
+    transaction
+  });
+
+  const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let ratingCount = 0;
+  let total = 0;
+
+  rows.forEach(({ rating, count }) => {
+    const reviews = parseInt(count);
+    ratingDistribution[rating] = reviews;
+    ratingCount += reviews;
+    total += rating * reviews;
+  });
+
+  // One decimal, like the star rating shown in the app
+  const rating = ratingCount > 0 ? Math.round((total / ratingCount) * 10) / 10 : 0;
+  const summary = { rating, ratingCount, ratingDistribution };
+
+  // silent: a new review is not an edit of the recipe
+  // paranoid: false keeps recipes in the trash correct for when they are restored
+  await Recipe.update(summary, { where: { id: recipeId }, silent: true, paranoid: false, transaction });
+
+  return summary;
+};
+
+/**
+ * Hide all reviews written by a user and update the recipes they rated
+ * (used when an account is moved to the trash)
+ * @param {number} userId
+ * @param {Date} deletedAt - The account's deletedAt, used to restore them
+ * @param {object} [transaction]
+ */
+export const hideUserReviews = async (userId, deletedAt, transaction) => {
+  const reviews = await Review.findAll({ where: { userId }, attributes: ['recipeId'], transaction });
+  if (reviews.length === 0) return;
+
+  await Review.update({ deletedAt }, { where: { userId }, silent: true, transaction });
+  for (const { recipeId } of reviews) {
+    await refreshRecipeRating(recipeId, transaction);
+  }
+};
+
+/**
+ * Bring back the reviews hidden with an account and update the recipes they rated
+ * @param {number} userId
+ * @param {Date} deletedAt - The account's deletedAt before it was restored
+ * @param {object} [transaction]
+ * @returns {Promise<number>} - Number of restored reviews
+ */
+export const restoreUserReviews = async (userId, deletedAt, transaction) => {
+  const where = { userId, deletedAt };
+  const reviews = await Review.findAll({ where, attributes: ['recipeId'], paranoid: false, transaction });
+  if (reviews.length === 0) return 0;
+
+  await Review.update({ deletedAt: null }, { where, paranoid: false, silent: true, transaction });
+  for (const { recipeId } of reviews) {
+    await refreshRecipeRating(recipeId, transaction);
+  }
+  return reviews.length;
+};
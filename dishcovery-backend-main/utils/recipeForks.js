@@ -0,0 +1,52 @@
+// utils/recipeForks.js - Fork attribution chain
+/**
+ * A fork stores its parent in forkedFromId and a copy of the whole
+ * attribution chain in forkLineage. When an ancestor is deleted,
+ * forkedFromId becomes null but the lineage still credits it.
+ */
+import { Recipe } from "../models/index.js";
+import { canViewRecipe } from "./recipeStatus.js";
+
+// Deeper chains keep only the nearest ancestors
+export const MAX_LINEAGE_DEPTH = 20;
+
+/**
+ * Lineage for a new fork of a recipe
+ * @param {object} source - Recipe being forked (with its user loaded as `user`)
+ * @returns {object[]} - [{ recipeId, name, userId, authorName }, ...ancestors]
+ */
+export const buildForkLineage = (source) => {
+  const parent = {
+    recipeId: source.id,
+    name: source.name,
+    userId: source.userId,
+    authorName: source.user ? `${source.user.firstName} ${source.user.lastName}` : null
+  };
+  return [parent, ...(source.forkLineage || [])].slice(0, MAX_LINEAGE_DEPTH);
+};
+
+/**
+ * Lineage as shown to a user: each ancestor is marked as deleted, or as
+ * available when the user may open it (drafts and hidden recipes are not)
+ * @param {object[]} lineage - forkLineage of a recipe
+ * @param {object|null} user - req.user, if any
+ * @returns {Promise<object[]>}
+ */
+export const resolveLineage = async (lineage, user) => {
+  if (!Array.isArray(lineage) || lineage.length === 0) return [];
+
+  const ancestors = await Recipe.findAll({
+    where: { id: lineage.map(entry => entry.recipeId) },
+    attributes: ['id', 'userId', 'status', 'moderationStatus']
+  });
+  const byId = new Map(ancestors.map(recipe => [recipe.id, recipe]));
+
+  return lineage.map(entry => {
+    const recipe = byId.get(entry.recipeId);
+    return {
+      ...entry,
+      deleted: !recipe,
+      available: Boolean(recipe) && canViewRecipe(user, recipe)
+    };
+  });
+};
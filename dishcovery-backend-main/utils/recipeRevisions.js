@@ -0,0 +1,119 @@
+// utils/recipeRevisions.js - Snapshots of recipe content for history and revert
+/**
+ * Every create, update and revert stores the full recipe content as a new
+ * revision. Only content is kept: ratings, moderation and lifecycle status
+ * are not part of a revision and are not touched by a revert.
+ * Tags are stored by name/slug/type so a revert still works after a tag
+ * was renamed or merged (missing tags are created again).
+ */
+import { RecipeRevision } from "../models/index.js";
+import { diffChanges } from "./audit.js";
+
+export const SNAPSHOT_FIELDS = [
+  'name',
+  'category',
+  'categoryId',
+  'cookingTime',
+  'prepTime',
+  'servings',
+  'description',
+  'image',
+  'ingredients',
+  'instructions',
+  'allergenOverrides'
+];
+
+/**
+ * Content of a recipe as stored in a revision
+ * @param {object} recipe - Recipe instance or plain object
+ * @param {object[]} tags - [{ name, slug, type }]
+ * @returns {object}
+ */
+export const snapshotRecipe = (recipe, tags = []) => {
+  const values = typeof recipe.toJSON === 'function' ? recipe.toJSON() : recipe;
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach(field => {
+    snapshot[field] = values[field] ?? null;
+  });
+  snapshot.tags = tags.map(({ name, slug, type }) => ({ name, slug, type: type || null }));
+  return snapshot;
+};
+
+/**
+ * Field-level difference between two snapshots
+ * @param {object|null} from - Older snapshot (null for the first revision)
+ * @param {object} to - Newer snapshot
+ * @returns {Array<{ field: string, from: any, to: any }>}
+ */
+export const diffSnapshots = (from, to) => {
+  const diff = diffChanges(from || {}, to);
+  if (!diff) return [];
+  return Object.keys(diff.after).map(field => ({
+    field,
+    from: diff.before[field] ?? null,
+    to: diff.after[field] ?? null
+  }));
+};
+
+const latestRevision = (recipeId, transaction) => {
+  return RecipeRevision.findOne({
+    where: { recipeId },
+    order: [['revisionNumber', 'DESC']],
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+};
+
+/**
+ * Recipes created before revisions existed have no history yet: store
+ * their current content as revision 1 before the first change
+ * @param {object} recipe - Recipe instance, not yet updated
+ * @param {object[]} tags - Current tags
+ * @param {object} [transaction]
+ */
+export const ensureInitialRevision = async (recipe, tags, transaction) => {
+  const existing = await latestRevision(recipe.id, transaction);
+  if (existing) return;
+
+  await RecipeRevision.create({
+    recipeId: recipe.id,
+    revisionNumber: 1,
+    editorId: recipe.userId,
+    action: 'create',
+    changedFields: [],
+    snapshot: snapshotRecipe(recipe, tags),
+    createdAt: recipe.updatedAt || recipe.createdAt
+  }, { transaction });
+};
+
+/**
+ * Store the recipe's current content as its next revision.
+ * Plain updates that did not change any content are skipped.
+ * @param {object} recipe - Recipe instance after the change
+ * @param {object} options
+ * @param {number} options.editorId - User who made the change
+ * @param {object[]} options.tags - Tags after the change
+ * @param {string} [options.action] - 'create' | 'update' | 'revert'
+ * @param {number} [options.revertedFrom] - Revision number restored by a revert
+ * @param {object} [options.transaction]
+ * @returns {Promise<object|null>} - The new revision, or null when skipped
+ */
+export const recordRevision = async (recipe, { editorId, tags, action = 'update', revertedFrom = null, transaction }) => {
+  const previous = await latestRevision(recipe.id, transaction);
+  const snapshot = snapshotRecipe(recipe, tags);
+  const changedFields = previous ? diffSnapshots(previous.snapshot, snapshot).map(change => change.field) : [];
+
+  if (action === 'update' && previous && changedFields.length === 0) {
+    return null;
+  }
+
+  return RecipeRevision.create({
+    recipeId: recipe.id,
+    revisionNumber: previous ? previous.revisionNumber + 1 : 1,
+    editorId,
+    action,
+    revertedFrom,
+    changedFields,
+    snapshot
+  }, { transaction });
+};
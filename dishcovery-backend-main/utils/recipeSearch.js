@@ -0,0 +1,85 @@
+// utils/recipeSearch.js - Postgres full-text search over recipes
+/**
+ * Recipes are searched through a weighted tsvector:
+ *   A name, B category and ingredient names, C description
+ * The same expression backs a GIN index (ensureSearchIndex), so it has to
+ * stay identical in both places - always build it with searchVectorSql().
+ */
+import sequelize from "../models/index.js";
+
+const SEARCH_CONFIG = 'english';
+const SEARCH_INDEX_NAME = 'recipes_search_idx';
+
+// Highlight markers for snippets
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=12, ShortWord=2';
+
+/**
+ * The weighted tsvector of a recipe row
+ * @param {string} [table] - Table alias to qualify columns with (e.g. "Recipe")
+ * @returns {string} - SQL expression
+ */
+export const searchVectorSql = (table) => {
+  const column = (name) => (table ? `"${table}"."${name}"` : `"${name}"`);
+
+  // Ingredient names of structured ingredients plus legacy plain strings
+  const ingredientText = `jsonb_path_query_array(${column('ingredients')}, '$[*].name')::text || ' ' || `
+    + `jsonb_path_query_array(${column('ingredients')}, '$[*] ? (@.type() == "string")')::text`;
+
+  return `(setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(${column('name')}, '')), 'A') || `
+    + `setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(${column('category')}, '')), 'B') || `
+    + `setweight(to_tsvector('${SEARCH_CONFIG}', ${ingredientText}), 'B') || `
+    + `setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(${column('description')}, '')), 'C'))`;
+};
+
+/**
+ * Turn what the user typed into a prefix tsquery: "jollof ric" → "jollof:* & ric:*"
+ * @param {string} q
+ * @returns {string|null} - null when nothing searchable is left
+ */
+export const buildSearchQuery = (q) => {
+  const terms = String(q || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 10);
+
+  return terms.length > 0 ? terms.map(term => `${term}:*`).join(' & ') : null;
+};
+
+const tsquerySql = (query) => `to_tsquery('${SEARCH_CONFIG}', ${sequelize.escape(query)})`;
+
+// Snippets are HTML: escape what authors typed so only our <mark> tags are markup.
+// The text search parser reads &amp; &lt; &gt; &quot; as entities, so words still match.
+const escapeHtmlSql = (expression) => [['&', '&amp;'], ['<', '&lt;'], ['>', '&gt;'], ['"', '&quot;']]
+  .reduce((sql, [char, entity]) => `replace(${sql}, '${char}', '${entity}')`, expression);
+
+/**
+ * Where condition matching recipes against a query from buildSearchQuery()
+ * @param {string} query
+ * @returns {object} - Sequelize literal, use inside [Op.and]
+ */
+export const searchCondition = (query) => {
+  return sequelize.literal(`${searchVectorSql('Recipe')} @@ ${tsquerySql(query)}`);
+};
+
+/**
+ * Extra attributes for search results: relevance and highlighted snippets
+ * (HTML-escaped text with <mark> around the matches)
+ * @param {string} query
+ * @returns {Array} - For attributes.include
+ */
+export const searchAttributes = (query) => [
+  [sequelize.literal(`ts_rank(${searchVectorSql('Recipe')}, ${tsquerySql(query)})`), 'searchRank'],
+  [sequelize.literal(`ts_headline('${SEARCH_CONFIG}', ${escapeHtmlSql('"Recipe"."name"')}, ${tsquerySql(query)}, 'HighlightAll=true, StartSel=<mark>, StopSel=</mark>')`), 'nameHighlight'],
+  [sequelize.literal(`ts_headline('${SEARCH_CONFIG}', ${escapeHtmlSql(`coalesce("Recipe"."description", '')`)}, ${tsquerySql(query)}, '${HEADLINE_OPTIONS}')`), 'descriptionHighlight']
+];
+
+/**
+ * Create the GIN index used by recipe search if it does not exist yet.
+ * Called once at startup, after sequelize.sync().
+ */
+export const ensureSearchIndex = async () => {
+  await sequelize.query(
+    `CREATE INDEX IF NOT EXISTS "${SEARCH_INDEX_NAME}" ON "Recipes" USING GIN (${searchVectorSql()})`
+  );
+};
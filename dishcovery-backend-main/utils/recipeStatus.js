@@ -0,0 +1,45 @@
+// utils/recipeStatus.js - Draft / published / archived lifecycle
+/**
+ * Only published recipes are shown to other people, and only once
+ * moderation approved them. Drafts and archived recipes are private to
+ * their author. Drafts may be incomplete; publishing checks them.
+ */
+import { canViewUnapproved } from "./moderation.js";
+
+// Where conditions for recipes anyone may see
+export const PUBLIC_RECIPE_WHERE = { status: 'published', moderationStatus: 'approved' };
+
+/**
+ * Whether a user may open a recipe
+ * @param {object|null} user - req.user, if any
+ * @param {object} recipe
+ * @returns {boolean}
+ */
+export const canViewRecipe = (user, recipe) => {
+  if (recipe.status !== 'published') {
+    return Boolean(user) && user.id === recipe.userId;
+  }
+  return recipe.moderationStatus === 'approved' || canViewUnapproved(user, recipe);
+};
+
+/**
+ * Whether a recipe is visible to everyone
+ * @param {object} recipe
+ * @returns {boolean}
+ */
+export const isPublicRecipe = (recipe) => {
+  return recipe.status === PUBLIC_RECIPE_WHERE.status && recipe.moderationStatus === PUBLIC_RECIPE_WHERE.moderationStatus;
+};
+
+/**
+ * What a draft still needs before it can be published
+ * @param {object} recipe
+ * @returns {string[]} - Empty when the recipe is complete
+ */
+export const missingForPublish = (recipe) => {
+  const missing = [];
+  if (!recipe.name || !String(recipe.name).trim()) missing.push('name');
+  if (!Array.isArray(recipe.ingredients) || recipe.ingredients.length === 0) missing.push('ingredients');
+  if (!Array.isArray(recipe.instructions) || recipe.instructions.length === 0) missing.push('instructions');
+  return missing;
+};
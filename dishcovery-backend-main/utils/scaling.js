@@ -0,0 +1,71 @@
+// utils/scaling.js - Scale structured ingredients to a different number of servings
+import { UNITS } from "../config/units.js";
+
+export const MAX_SERVINGS = 100;
+
+const KITCHEN_FRACTIONS = [0, 1 / 8, 1 / 4, 1 / 3, 1 / 2, 2 / 3, 3 / 4, 1];
+
+// "Salt, to taste" keeps its amount whatever the servings
+const UNSCALABLE_NOTE = /\b(to taste|as needed|for garnish|optional)\b/i;
+
+const nearestFraction = (quantity) => {
+  const whole = Math.floor(quantity);
+  const rest = quantity - whole;
+  const fraction = KITCHEN_FRACTIONS.reduce((best, candidate) =>
+    Math.abs(candidate - rest) < Math.abs(best - rest) ? candidate : best
+  );
+  return Math.max(whole + fraction, 1 / 8);
+};
+
+const ROUNDING = {
+  metric: (quantity) => {
+    if (quantity < 10) return Math.max(Math.round(quantity * 2) / 2, 0.5);
+    if (quantity < 100) return Math.round(quantity);
+    return Math.round(quantity / 5) * 5;
+  },
+  decimal: (quantity) => Math.max(Math.round(quantity * 20) / 20, 0.05),
+  fraction: nearestFraction,
+  whole: (quantity) => Math.max(Math.round(quantity), 1)
+};
+
+/**
+ * Round a scaled quantity the way the unit is measured in a kitchen
+ * (whole eggs, quarter cups, 5 g steps...)
+ * @param {number} quantity - Scaled quantity
+ * @param {string|null} unit - Canonical unit
+ * @param {number} original - Quantity before scaling
+ * @returns {number}
+ */
+export const roundQuantity = (quantity, unit, original) => {
+  let rounding = unit && UNITS[unit] ? UNITS[unit].rounding : 'fraction';
+
+  // No unit: "2 eggs" stays whole, "1/2 onion" may stay a fraction
+  if (!unit) {
+    rounding = Number.isInteger(original) ? 'whole' : 'fraction';
+  }
+
+  return ROUNDING[rounding](quantity);
+};
+
+/**
+ * Scale ingredients by a factor. Items without a quantity and items
+ * "to taste" are returned unchanged.
+ * @param {object[]} ingredients - Structured ingredients
+ * @param {number} factor - e.g. 2.5 for 4 → 10 servings
+ * @returns {object[]}
+ */
+export const scaleIngredients = (ingredients, factor) => {
+  if (factor === 1) return ingredients;
+
+  return ingredients.map(ingredient => {
+    const { quantity, unit, note } = ingredient;
+    if (quantity === null || quantity === undefined || (note && UNSCALABLE_NOTE.test(note))) {
+      return ingredient;
+    }
+
+    return {
+      ...ingredient,
+      quantity: roundQuantity(quantity * factor, unit, quantity)
+    };
+  });
+};
@@ -0,0 +1,46 @@
+// utils/schema.js - Bring the database schema up to date with the models
+/**
+ * sequelize.sync() only creates missing tables; { alter: true } also adds
+ * new columns. The server alters in development only: in production run
+ * `npm run db:migrate` after every upgrade, before starting the new version.
+ *
+ * Some columns need existing rows filled in when they first appear. Those
+ * backfills run here, once, in the same step as the column is added.
+ */
+import sequelize, { User } from "../models/index.js";
+
+// Columns of a table, or null when the table does not exist yet
+const describeColumns = async (tableName) => {
+  try {
+    return await sequelize.getQueryInterface().describeTable(tableName);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Sync the models and run the backfills of newly added columns
+ * @param {object} [options]
+ * @param {boolean} [options.alter] - Add/change columns of existing tables
+ * @returns {Promise<{ grandfatheredUsers: number }>}
+ */
+export const syncSchema = async ({ alter = false } = {}) => {
+  const userColumns = await describeColumns('Users');
+
+  // NEVER use force: true - it deletes all data!
+  await sequelize.sync({ alter, force: false });
+
+  const result = { grandfatheredUsers: 0 };
+
+  // Accounts from before email verification existed count as verified,
+  // otherwise they would suddenly be blocked from posting recipes
+  if (alter && userColumns && !userColumns.emailVerified) {
+    const [grandfathered] = await User.update(
+      { emailVerified: true, emailVerifiedAt: sequelize.col('createdAt') },
+      { where: { emailVerified: false }, paranoid: false, silent: true }
+    );
+    result.grandfatheredUsers = grandfathered;
+  }
+
+  return result;
+};
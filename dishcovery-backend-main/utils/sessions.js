@@ -0,0 +1,239 @@
+// utils/sessions.js - Access tokens, rotating refresh tokens and revocation
+import jwt from "jsonwebtoken";
+import { Op } from "sequelize";
+import sequelize, { Session, RefreshToken } from "../models/index.js";
+import { createOpaqueToken, hashToken } from "./tokens.js";
+
+const ACCESS_TOKEN_TTL_MINUTES = parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// lastSeenAt is written at most once per minute per session
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+// Best-effort readable name for a user agent ("iPhone", "Android", "Postman", ...)
+const describeUserAgent = (userAgent = '') => {
+  const patterns = [
+    [/PostmanRuntime/i, 'Postman'],
+    [/curl\//i, 'curl'],
+    [/okhttp/i, 'Android app'],
+    [/Expo|CFNetwork|Darwin/i, 'iOS app'],
+    [/iPhone/i, 'iPhone'],
+    [/iPad/i, 'iPad'],
+    [/Android/i, 'Android'],
+    [/Windows/i, 'Windows'],
+    [/Macintosh|Mac OS X/i, 'Mac'],
+    [/Linux/i, 'Linux']
+  ];
+  const match = patterns.find(([pattern]) => pattern.test(userAgent));
+  return match ? match[1] : 'Unknown device';
+};
+
+/**
+ * Collect device information for a new session from the request
+ * @param {object} req - Express request (body.deviceName is optional)
+ * @returns {{ deviceName: string, userAgent: string, ipAddress: string }}
+ */
+export const sessionContextFromRequest = (req) => {
+  const userAgent = req.get('user-agent') || null;
+  const deviceName = typeof req.body?.deviceName === 'string' && req.body.deviceName.trim()
+    ? req.body.deviceName.trim().slice(0, 100)
+    : describeUserAgent(userAgent || '');
+
+  return { deviceName, userAgent, ipAddress: req.ip || null };
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {object} user - User instance
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} - JWT
+ */
+export const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, email: user.email, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+  );
+};
+
+const issueTokens = async (user, session, transaction) => {
+  const { token, tokenHash } = createOpaqueToken(48);
+  const expiresAt = refreshExpiry();
+
+  await RefreshToken.create({
+    sessionId: session.id,
+    tokenHash,
+    expiresAt
+  }, { transaction });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: token,
+    expiresIn: ACCESS_TOKEN_TTL_MINUTES * 60,
+    refreshTokenExpiresAt: expiresAt
+  };
+};
+
+/**
+ * Start a new session for a user (login/signup)
+ * @param {object} user - User instance
+ * @param {object} [context] - Device info from sessionContextFromRequest()
+ * @returns {Promise<object>} - { token, refreshToken, expiresIn, refreshTokenExpiresAt }
+ */
+export const createSession = async (user, context = {}) => {
+  return sequelize.transaction(async (transaction) => {
+    const session = await Session.create({
+      userId: user.id,
+      deviceName: context.deviceName,
+      userAgent: context.userAgent,
+      ipAddress: context.ipAddress,
+      lastSeenAt: new Date(),
+      expiresAt: refreshExpiry()
+    }, { transaction });
+
+    return issueTokens(user, session, transaction);
+  });
+};
+
+/**
+ * Revoke a session so its access and refresh tokens stop working
+ * @param {string} sessionId
+ * @param {string} reason - Stored for auditing (e.g. 'logout')
+ */
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where: { id: sessionId, revokedAt: null } }
+  );
+};
+
+/**
+ * Revoke every session of a user except one (e.g. "sign out everywhere else")
+ * @param {number} userId
+ * @param {string|null} keepSessionId - Session to keep, usually the current one
+ * @param {string} reason
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+export const revokeOtherSessions = async (userId, keepSessionId, reason = 'signed_out_elsewhere') => {
+  const where = { userId, revokedAt: null };
+  if (keepSessionId) {
+    where.id = { [Op.ne]: keepSessionId };
+  }
+
+  const [count] = await Session.update(
+    { revokedAt: new Date(), revokedReason: reason },
+    { where }
+  );
+  return count;
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting a token that was already rotated revokes the whole session,
+ * since it means the token has been copied.
+ * @param {string} rawToken - Refresh token from the client
+ * @param {Function} loadUser - async (userId) => User
+ * @param {object} [context] - Device info from sessionContextFromRequest()
+ * @returns {Promise<object>} - Same shape as createSession()
+ */
+export const rotateRefreshToken = async (rawToken, loadUser, context = {}) => {
+  const stored = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(rawToken) },
+    include: [{ model: Session, as: 'session' }]
+  });
+
+  if (!stored || !stored.session) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const { session } = stored;
+
+  if (stored.rotatedAt) {
+    await revokeSession(session.id, 'refresh_token_reuse');
+    console.warn(`⚠️ Refresh token reuse detected, session ${session.id} revoked`);
+    throw sessionError('Refresh token has already been used');
+  }
+
+  if (session.revokedAt) {
+    throw sessionError('Session has been revoked');
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw sessionError('Refresh token expired');
+  }
+
+  const user = await loadUser(session.userId);
+  if (!user) {
+    throw sessionError('User not found');
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    // Claim the token atomically so two parallel refreshes cannot both succeed
+    const [claimed] = await RefreshToken.update(
+      { rotatedAt: new Date() },
+      { where: { id: stored.id, rotatedAt: null }, transaction }
+    );
+    if (!claimed) {
+      throw sessionError('Refresh token has already been used');
+    }
+
+    await session.update({
+      expiresAt: refreshExpiry(),
+      lastSeenAt: new Date(),
+      ipAddress: context.ipAddress || session.ipAddress
+    }, { transaction });
+
+    return issueTokens(user, session, transaction);
+  });
+};
+
+/**
+ * Find the session behind a refresh token (used by logout)
+ * @param {string} rawToken
+ * @returns {Promise<object|null>}
+ */
+export const findSessionByRefreshToken = async (rawToken) => {
+  const stored = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(rawToken) },
+    include: [{ model: Session, as: 'session' }]
+  });
+  return stored ? stored.session : null;
+};
+
+/**
+ * Load a session that is still usable for authentication
+ * @param {string} sessionId
+ * @param {number} userId
+ * @returns {Promise<object|null>}
+ */
+export const findActiveSession = async (sessionId, userId) => {
+  return Session.findOne({
+    where: {
+      id: sessionId,
+      userId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+};
+
+/**
+ * Remember when a session was last used, without a write on every request
+ * @param {object} session - Session instance
+ * @param {string} [ipAddress]
+ */
+export const touchSession = (session, ipAddress) => {
+  const now = Date.now();
+  if (session.lastSeenAt && now - session.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS) return;
+
+  session.update({ lastSeenAt: new Date(now), ipAddress: ipAddress || session.ipAddress })
+    .catch(err => console.error('Session touch error:', err.message));
+};
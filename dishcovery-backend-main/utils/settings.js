@@ -0,0 +1,25 @@
+// utils/settings.js - Read/write platform settings stored in the Settings table
+import { Setting } from "../models/index.js";
+
+/**
+ * Read a setting
+ * @param {string} key
+ * @param {*} defaultValue - Returned when the setting was never saved
+ * @returns {Promise<*>}
+ */
+export const getSetting = async (key, defaultValue = null) => {
+  const setting = await Setting.findByPk(key);
+  return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Create or update a setting
+ * @param {string} key
+ * @param {*} value - Any JSON value
+ * @param {number} [updatedById] - Admin who changed it
+ * @returns {Promise<*>} - The stored value
+ */
+export const setSetting = async (key, value, updatedById = null) => {
+  await Setting.upsert({ key, value, updatedById });
+  return value;
+};
@@ -0,0 +1,15 @@
+// utils/slugify.js - URL-friendly identifiers for tags and categories
+
+/**
+ * Lowercase, dash separated, accents removed: "Crème Brûlée!" → "creme-brulee"
+ * @param {string} text
+ * @param {number} [maxLength]
+ * @returns {string} - Empty when the text has no letters or digits
+ */
+export const slugify = (text, maxLength = 60) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, maxLength);
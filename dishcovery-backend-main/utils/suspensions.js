@@ -0,0 +1,56 @@
+// utils/suspensions.js - Suspended and banned accounts
+import sequelize from "../models/index.js";
+
+// Fields written when a suspension is lifted or runs out
+export const CLEARED_SUSPENSION = {
+  status: 'active',
+  suspensionReason: null,
+  suspendedAt: null,
+  suspendedUntil: null,
+  suspendedById: null
+};
+
+/**
+ * Whether an account is currently suspended or banned.
+ * Suspensions whose end date has passed are lifted on the way.
+ * @param {object} user - User instance
+ * @returns {Promise<boolean>}
+ */
+export const isAccountSuspended = async (user) => {
+  if (!user || user.status === 'active') return false;
+
+  if (user.suspendedUntil && user.suspendedUntil <= new Date()) {
+    await user.update(CLEARED_SUSPENSION);
+    console.log(`✅ Suspension of user ${user.id} expired`);
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * 403 body explaining why the account cannot be used
+ * @param {object} user - Suspended user
+ * @returns {object}
+ */
+export const suspensionResponse = (user) => ({
+  error: user.status === 'banned' ? 'Account banned' : 'Account suspended',
+  status: user.status,
+  reason: user.suspensionReason,
+  suspendedUntil: user.suspendedUntil,
+  message: user.suspendedUntil
+    ? `Your account is suspended until ${user.suspendedUntil.toISOString()}`
+    : 'Your account has been disabled by a moderator'
+});
+
+/**
+ * Where condition for Recipe queries that hides recipes of suspended or
+ * banned authors (their recipes are kept, just not listed)
+ * @returns {object} - Sequelize literal, use inside [Op.and]
+ */
+export const visibleAuthorCondition = () => sequelize.literal(
+  `"Recipe"."userId" NOT IN (
+    SELECT "id" FROM "Users"
+    WHERE "status" <> 'active' AND ("suspendedUntil" IS NULL OR "suspendedUntil" > NOW())
+  )`
+);
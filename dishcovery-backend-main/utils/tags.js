@@ -0,0 +1,122 @@
+// utils/tags.js - Attach, look up and filter recipes by tags
+/**
+ * Tags are matched by slug, so "Street Food", "street food" and
+ * "street-food" are the same tag. Unknown tags sent with a recipe are
+ * created on the fly; admins can rename and merge them later.
+ */
+import sequelize, { Tag, RecipeTag } from "../models/index.js";
+import { TAG_TYPES } from "../models/Tag.js";
+import { slugify } from "./slugify.js";
+
+export const MAX_TAGS_PER_RECIPE = 10;
+const MAX_TAG_LENGTH = 50;
+
+export const TAG_ATTRIBUTES = ['id', 'name', 'slug', 'type'];
+
+/**
+ * Tag as returned with recipes
+ * @param {object} tag - Tag instance or plain object
+ * @returns {{ id: number, name: string, slug: string, type: string|null }}
+ */
+export const formatTag = ({ id, name, slug, type }) => ({ id, name, slug, type });
+
+/**
+ * Validate the tags sent with a recipe
+ * @param {Array} list - Names ("Breakfast") or { name, type } objects
+ * @returns {{ tags?: object[], error?: string }} - [{ name, slug, type }]
+ */
+export const normalizeTagList = (list) => {
+  if (!Array.isArray(list)) {
+    return { error: 'tags must be an array of names or { name, type } objects' };
+  }
+
+  const tags = [];
+  for (const input of list) {
+    const isObject = input && typeof input === 'object' && !Array.isArray(input);
+    const name = String(isObject ? input.name ?? '' : input ?? '').trim().replace(/\s+/g, ' ');
+    const type = isObject && input.type ? input.type : null;
+
+    if (!name) return { error: 'Tag names cannot be empty' };
+    if (name.length > MAX_TAG_LENGTH) return { error: `Tag "${name.slice(0, 20)}..." is too long (max ${MAX_TAG_LENGTH})` };
+    if (type && !TAG_TYPES.includes(type)) {
+      return { error: `Tag type must be one of: ${TAG_TYPES.join(', ')}` };
+    }
+
+    const slug = slugify(name);
+    if (!slug) return { error: `Tag "${name}" needs at least one letter or digit` };
+    if (!tags.some(tag => tag.slug === slug)) tags.push({ name, slug, type });
+  }
+
+  if (tags.length > MAX_TAGS_PER_RECIPE) {
+    return { error: `A recipe can have at most ${MAX_TAGS_PER_RECIPE} tags` };
+  }
+
+  return { tags };
+};
+
+/**
+ * Existing tags for the given slugs, creating the missing ones
+ * @param {object[]} tags - From normalizeTagList()
+ * @param {object} [transaction]
+ * @returns {Promise<object[]>} - Tag instances
+ */
+export const findOrCreateTags = async (tags, transaction) => {
+  const instances = [];
+  for (const { name, slug, type } of tags) {
+    const [tag] = await Tag.findOrCreate({
+      where: { slug },
+      defaults: { name, type },
+      transaction
+    });
+    instances.push(tag);
+  }
+  return instances;
+};
+
+/**
+ * Read tag slugs from the query string
+ * @param {string|string[]} value - "breakfast,street-food" (names work too)
+ * @returns {string[]}
+ */
+export const parseTagSlugs = (value) => {
+  if (!value) return [];
+  const slugs = (Array.isArray(value) ? value : [value])
+    .flatMap(entry => String(entry).split(','))
+    .map(entry => slugify(entry))
+    .filter(Boolean);
+  return [...new Set(slugs)].slice(0, MAX_TAGS_PER_RECIPE);
+};
+
+/**
+ * Where condition for recipes tagged with any / all of the slugs
+ * @param {string[]} slugs
+ * @param {'any'|'all'} match
+ * @returns {object} - Sequelize literal, use inside [Op.and]
+ */
+export const tagFilterCondition = (slugs, match = 'any') => {
+  const list = slugs.map(slug => sequelize.escape(slug)).join(', ');
+  const having = match === 'all' ? ` GROUP BY rt."recipeId" HAVING COUNT(DISTINCT t.id) = ${slugs.length}` : '';
+
+  return sequelize.literal(
+    `"Recipe"."id" IN (SELECT rt."recipeId" FROM "RecipeTags" rt JOIN "Tags" t ON t.id = rt."tagId" WHERE t.slug IN (${list})${having})`
+  );
+};
+
+/**
+ * Tags of several recipes in one query (for listings)
+ * @param {number[]} recipeIds
+ * @returns {Promise<Map<number, object[]>>} - recipeId → [{ id, name, slug, type }]
+ */
+export const tagsForRecipes = async (recipeIds) => {
+  const byRecipe = new Map(recipeIds.map(id => [id, []]));
+  if (recipeIds.length === 0) return byRecipe;
+
+  const links = await RecipeTag.findAll({
+    where: { recipeId: recipeIds },
+    include: [{ model: Tag, as: 'tag', attributes: TAG_ATTRIBUTES }],
+    order: [[{ model: Tag, as: 'tag' }, 'name', 'ASC']]
+  });
+
+  links.forEach(link => byRecipe.get(link.recipeId)?.push(link.tag.toJSON()));
+  return byRecipe;
+};
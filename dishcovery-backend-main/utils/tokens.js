@@ -0,0 +1,21 @@
+// utils/tokens.js - Helpers for random, hashed tokens (reset links, ...)
+import crypto from "crypto";
+
+/**
+ * Hash a raw token for storage/lookup
+ * @param {string} token - Raw token as sent to the user
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Create a random token together with the hash to store in the database
+ * @param {number} bytes - Amount of random bytes
+ * @returns {{ token: string, tokenHash: string }}
+ */
+export const createOpaqueToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
@@ -0,0 +1,167 @@
+// utils/totp.js - RFC 6238 time-based one-time passwords (Google Authenticator & co.)
+import crypto from "crypto";
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding), the format authenticator apps expect
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = ((value << 8) | byte) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case and padding insensitive)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = ((value << 5) | index) & 0xffff;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret (160 bits, base32 encoded)
+ * @returns {string}
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const hotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(binary).padStart(DIGITS, '0');
+};
+
+/**
+ * Current 30-second time step
+ * @param {number} [timestamp] - Milliseconds, defaults to now
+ * @returns {number}
+ */
+export const currentStep = (timestamp = Date.now()) => Math.floor(timestamp / 1000 / STEP_SECONDS);
+
+/**
+ * Generate the code for a secret at a given time
+ * @param {string} secret - Base32 secret
+ * @param {number} [timestamp] - Milliseconds, defaults to now
+ * @returns {string} - 6 digit code
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => {
+  return hotp(base32Decode(secret), currentStep(timestamp));
+};
+
+/**
+ * Verify a code, allowing one step of clock drift either way
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} [window] - Accepted steps before/after the current one
+ * @returns {number|null} - Matching time step (to reject replays), or null
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const key = base32Decode(secret);
+  const step = currentStep();
+
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(key, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.account - Account label (email)
+ * @param {string} [options.issuer] - App name shown in the authenticator
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, account, issuer = 'Dishcovery' }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// ============================================
+// Secret encryption at rest (AES-256-GCM)
+// ============================================
+const encryptionKey = () => {
+  const material = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(String(material)).digest();
+};
+
+/**
+ * Encrypt a TOTP secret before storing it
+ * @param {string} secret
+ * @returns {string} - iv:tag:ciphertext (hex)
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} payload - Value produced by encryptSecret()
+ * @returns {string}
+ */
+export const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'hex'));
+  decipher.setAuthTag(Buffer.from(tag, 'hex'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+};
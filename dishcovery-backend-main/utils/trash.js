@@ -0,0 +1,172 @@
+// utils/trash.js - Soft-deleted recipes and accounts, restore and purge
+/**
+ * Recipes and users are paranoid models: destroy() only sets deletedAt,
+ * so they disappear from every query but can be restored. After the
+ * retention period (admin setting, TRASH_RETENTION_DAYS by default) the
+ * purge job deletes the rows for good, with the images they uploaded.
+ *
+ * Deleting an account trashes the user, their recipes and their reviews with
+ * the same deletedAt, which is how restoring the account finds them again.
+ */
+import { Op } from "sequelize";
+import sequelize, { Recipe, User } from "../models/index.js";
+import { deleteFromCloudinary } from "../config/cloudinary.js";
+import { hasPermission } from "../config/permissions.js";
+import { getSetting } from "./settings.js";
+import { hideUserReviews, restoreUserReviews } from "./ratings.js";
+import { revokeOtherSessions } from "./sessions.js";
+
+export const TRASH_POLICY_KEY = 'trash.retention';
+export const MAX_RETENTION_DAYS = 365;
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_HOURS = parseInt(process.env.TRASH_PURGE_INTERVAL_HOURS ?? '24');
+
+// Only images uploaded with recipes are removed (not the shared default image)
+const RECIPE_IMAGE_FOLDER = '/recipe-images/';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read the trash policy
+ * @returns {Promise<{ retentionDays: number }>}
+ */
+export const getTrashPolicy = async () => {
+  return getSetting(TRASH_POLICY_KEY, { retentionDays: DEFAULT_RETENTION_DAYS });
+};
+
+/**
+ * When a trashed row will be purged
+ * @param {Date} deletedAt
+ * @param {number} retentionDays
+ * @returns {Date}
+ */
+export const purgeDate = (deletedAt, retentionDays) => new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS);
+
+/**
+ * Whether a user may restore a trashed recipe: its author, unless someone
+ * else (a moderator) deleted it, and anyone with recipe.delete.any
+ * @param {object} user - req.user
+ * @param {object} recipe - Trashed Recipe instance
+ * @returns {boolean}
+ */
+export const canRestoreRecipe = (user, recipe) => {
+  if (hasPermission(user.role, 'recipe.delete.any')) return true;
+  return recipe.userId === user.id && (recipe.deletedById === null || recipe.deletedById === user.id);
+};
+
+/**
+ * Move an account, its recipes and its reviews to the trash. Hidden reviews
+ * no longer count towards other people's ratings.
+ * @param {object} user - User instance
+ * @param {number} deletedById - The user themselves or an admin
+ */
+export const trashUserAccount = async (user, deletedById) => {
+  await sequelize.transaction(async (transaction) => {
+    await user.destroy({ transaction });
+    await hideUserReviews(user.id, user.deletedAt, transaction);
+
+    // Recipes already in the trash keep their own deletedAt
+    await Recipe.update(
+      { deletedAt: user.deletedAt, deletedById },
+      { where: { userId: user.id }, silent: true, transaction }
+    );
+  });
+
+  await revokeOtherSessions(user.id, null, 'account_deleted');
+};
+
+/**
+ * Bring back a trashed account with the recipes and reviews that were
+ * trashed with it
+ * @param {object} user - User instance loaded with paranoid: false
+ * @returns {Promise<{ recipes: number, reviews: number }>} - Number of restored rows
+ */
+export const restoreUserAccount = async (user) => {
+  const deletedAt = user.deletedAt;
+
+  return sequelize.transaction(async (transaction) => {
+    await user.restore({ transaction });
+
+    const [recipes] = await Recipe.update(
+      { deletedAt: null, deletedById: null },
+      { where: { userId: user.id, deletedAt }, paranoid: false, silent: true, transaction }
+    );
+    const reviews = await restoreUserReviews(user.id, deletedAt, transaction);
+    return { recipes, reviews };
+  });
+};
+
+// Delete uploaded images that no recipe (trashed or not) uses anymore
+const deleteUnusedImages = async (urls) => {
+  let deleted = 0;
+  for (const url of new Set(urls)) {
+    if (!url || !url.includes(RECIPE_IMAGE_FOLDER)) continue;
+
+    // Forks share the image of the original
+    const stillUsed = await Recipe.count({ where: { image: url }, paranoid: false });
+    if (stillUsed > 0) continue;
+
+    try {
+      if (await deleteFromCloudinary(url)) deleted++;
+    } catch (error) {
+      console.error(`❌ Could not delete image ${url}:`, error.message);
+    }
+  }
+  return deleted;
+};
+
+/**
+ * Permanently delete accounts and recipes that have been in the trash
+ * longer than the retention period, and their images
+ * @returns {Promise<{ users: number, recipes: number, images: number }>}
+ */
+export const purgeExpiredTrash = async () => {
+  const { retentionDays } = await getTrashPolicy();
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const expired = { deletedAt: { [Op.lt]: cutoff } };
+
+  const users = await User.findAll({ where: expired, attributes: ['id'], paranoid: false });
+  const userIds = users.map(user => user.id);
+
+  const recipes = await Recipe.findAll({
+    where: userIds.length > 0 ? { [Op.or]: [expired, { userId: userIds }] } : expired,
+    attributes: ['id', 'image'],
+    paranoid: false
+  });
+
+  // Favorites, reviews, tags and revisions of the rows go with them (CASCADE)
+  await sequelize.transaction(async (transaction) => {
+    if (recipes.length > 0) {
+      await Recipe.destroy({ where: { id: recipes.map(recipe => recipe.id) }, force: true, transaction });
+    }
+    if (userIds.length > 0) {
+      await User.destroy({ where: { id: userIds }, force: true, transaction });
+    }
+  });
+
+  const images = await deleteUnusedImages(recipes.map(recipe => recipe.image));
+
+  return { users: userIds.length, recipes: recipes.length, images };
+};
+
+/**
+ * Run the purge now and then every TRASH_PURGE_INTERVAL_HOURS (0 turns it off,
+ * e.g. when npm run trash:purge runs from cron instead)
+ */
+export const scheduleTrashPurge = () => {
+  if (!(PURGE_INTERVAL_HOURS > 0)) return;
+
+  const run = async () => {
+    try {
+      const result = await purgeExpiredTrash();
+      if (result.users || result.recipes) {
+        console.log(`✅ Trash purged: ${result.recipes} recipes, ${result.users} users, ${result.images} images`);
+      }
+    } catch (error) {
+      console.error('❌ Trash purge failed:', error.message);
+    }
+  };
+
+  run();
+  setInterval(run, PURGE_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+};
@@ -0,0 +1,79 @@
+// utils/twoFactor.js - Two-factor checks shared by login and account settings
+import crypto from "crypto";
+import { verifyTotp, decryptSecret } from "./totp.js";
+import { hashToken } from "./tokens.js";
+import { getSetting } from "./settings.js";
+
+export const TWO_FACTOR_POLICY_KEY = 'security.twoFactor';
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are typed by hand: ignore case, spaces and dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {{ codes: string[], hashes: string[] }} - codes are shown once, hashes are stored
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => hashToken(normalizeRecoveryCode(code)))
+  };
+};
+
+/**
+ * Check a TOTP code or a recovery code for a user with 2FA.
+ * Accepted codes are consumed: the TOTP step is remembered and
+ * recovery codes are removed.
+ * @param {object} user - User instance
+ * @param {{ code?: string, recoveryCode?: string }} input
+ * @returns {Promise<boolean>}
+ */
+export const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (!user.twoFactorSecret) return false;
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+    if (step === null) return false;
+    if (user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep) return false;
+
+    await user.update({ twoFactorLastUsedStep: step });
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const remaining = user.twoFactorRecoveryCodes || [];
+    if (!remaining.includes(hash)) return false;
+
+    await user.update({ twoFactorRecoveryCodes: remaining.filter(h => h !== hash) });
+    console.log(`⚠️ User ${user.id} used a recovery code (${remaining.length - 1} left)`);
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Read the platform 2FA policy
+ * @returns {Promise<{ requiredForAdmins: boolean }>}
+ */
+export const getTwoFactorPolicy = async () => {
+  return getSetting(TWO_FACTOR_POLICY_KEY, { requiredForAdmins: false });
+};
+
+/**
+ * Whether the policy forces this user to have 2FA
+ * @param {object} user
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorRequired = async (user) => {
+  if (user.role !== 'admin') return false;
+  const policy = await getTwoFactorPolicy();
+  return Boolean(policy.requiredForAdmins);
+};
@@ -0,0 +1,82 @@
+// utils/unitConversion.js - Show ingredients in metric or imperial units
+import { UNITS, DENSITIES } from "../config/units.js";
+import { roundQuantity } from "./scaling.js";
+
+// Longest names first so "palm oil" wins over "oil"
+const DENSITY_NAMES = Object.keys(DENSITIES).sort((a, b) => b.length - a.length);
+
+/**
+ * Density of an ingredient, from its name
+ * @param {string} name - e.g. "Long grain rice"
+ * @returns {{ gPerMl: number, liquid?: boolean }|null}
+ */
+export const findDensity = (name) => {
+  const lower = String(name || '').toLowerCase();
+  const match = DENSITY_NAMES.find(key => new RegExp(`\\b${key}\\b`).test(lower));
+  return match ? DENSITIES[match] : null;
+};
+
+// Unit to show an amount in, by system and size
+const targetUnit = (kind, system, amount) => {
+  if (system === 'metric') {
+    if (kind === 'mass') return amount >= 1000 ? 'kg' : 'g';
+    return amount >= 1000 ? 'l' : 'ml';
+  }
+
+  if (kind === 'mass') return amount >= UNITS.lb.factor ? 'lb' : 'oz';
+  if (amount >= UNITS.cup.factor / 4) return 'cup';
+  return amount >= UNITS.tbsp.factor ? 'tbsp' : 'tsp';
+};
+
+/**
+ * Convert one ingredient to a unit system. Ingredients that are already in
+ * that system, have no quantity or use units like "clove" are unchanged.
+ * Converted ingredients keep originalQuantity/originalUnit.
+ * @param {object} ingredient - Structured ingredient
+ * @param {string} system - 'metric', 'imperial' or 'original'
+ * @returns {object}
+ */
+export const convertIngredient = (ingredient, system) => {
+  const { quantity, unit, name } = ingredient;
+  const from = unit && UNITS[unit];
+
+  if (system === 'original' || quantity === null || quantity === undefined) return ingredient;
+  if (!from || !from.kind || from.system === 'any' || from.system === system) return ingredient;
+
+  const density = findDensity(name);
+  let kind = from.kind;
+  let amount = quantity * from.factor; // grams or millilitres
+
+  // Metric cooks weigh dry goods, imperial recipes measure them in cups
+  if (density) {
+    if (system === 'metric' && kind === 'volume' && !density.liquid) {
+      kind = 'mass';
+      amount *= density.gPerMl;
+    } else if (system === 'imperial' && kind === 'mass') {
+      kind = 'volume';
+      amount /= density.gPerMl;
+    }
+  }
+
+  const to = targetUnit(kind, system, amount);
+  const converted = roundQuantity(amount / UNITS[to].factor, to, quantity);
+
+  return {
+    ...ingredient,
+    quantity: converted,
+    unit: to,
+    originalQuantity: quantity,
+    originalUnit: unit
+  };
+};
+
+/**
+ * Convert a list of ingredients
+ * @param {object[]} ingredients
+ * @param {string} system - 'metric', 'imperial' or 'original'
+ * @returns {object[]}
+ */
+export const convertIngredients = (ingredients, system) => {
+  if (!system || system === 'original') return ingredients;
+  return ingredients.map(ingredient => convertIngredient(ingredient, system));
+};